@@ -0,0 +1,184 @@
+// ann_index.js — approximate nearest-neighbour index (IVF)
+// ISO Timestamp: 🕒 2026-10-19T18:23:21Z
+// Inverted-file index over the normalised embedding matrix: spherical
+// k-means splits the chunks into `nlist` clusters, and a query only scores
+// the chunks in its `nprobe` nearest clusters. Stored next to the vector
+// index as `<vector.index>.ivf` and ignored if the matrix it was built from
+// no longer matches (fingerprint check). Built by
+// `node build_index.js --out <dir> --ann ivf` (see buildAnnIndex in vector_store.js).
+
+import fs from "fs";
+import crypto from "crypto";
+import { createTopK, dotRow } from "./vector_math.js";
+
+const MAGIC = "AIVSIVF1";
+const HEADER_BYTES = 8 + 4 * 3 + 32;
+
+export const ivfPathFor = (indexPath) => `${indexPath}.ivf`;
+
+/* ---------------------------------------------------------------------- */
+/*  HELPERS                                                               */
+/* ---------------------------------------------------------------------- */
+export function fingerprintMatrix(matrix, count, dims) {
+  const bytes = new Uint8Array(matrix.buffer, matrix.byteOffset, count * dims * 4);
+  return crypto.createHash("sha256").update(bytes).digest();
+}
+
+// Small seeded PRNG so the same corpus always yields the same clusters.
+function mulberry32(seed) {
+  return () => {
+    seed = (seed + 0x6d2b79f5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function nearestCentroid(matrix, row, centroids, nlist, dims) {
+  let best = 0;
+  let bestScore = -Infinity;
+  const off = row * dims;
+  for (let c = 0; c < nlist; c++) {
+    let s = 0;
+    const co = c * dims;
+    for (let i = 0; i < dims; i++) s += matrix[off + i] * centroids[co + i];
+    if (s > bestScore) {
+      bestScore = s;
+      best = c;
+    }
+  }
+  return best;
+}
+
+/* ---------------------------------------------------------------------- */
+/*  BUILD                                                                 */
+/* ---------------------------------------------------------------------- */
+export function buildIvf(matrix, count, dims, opts = {}) {
+  const nlist = Math.max(1, Math.min(count, opts.nlist || Math.round(Math.sqrt(count))));
+  const iterations = opts.iterations || 8;
+  const rand = mulberry32(opts.seed || 42);
+
+  // Train on a sample; assigning every chunk afterwards is the expensive part.
+  const sampleSize = Math.min(count, opts.sampleSize || nlist * 40);
+  const order = Uint32Array.from({ length: count }, (_, i) => i);
+  for (let i = count - 1; i > 0; i--) {
+    const j = Math.floor(rand() * (i + 1));
+    [order[i], order[j]] = [order[j], order[i]];
+  }
+  const sample = order.subarray(0, sampleSize);
+
+  const centroids = new Float32Array(nlist * dims);
+  for (let c = 0; c < nlist; c++)
+    centroids.set(matrix.subarray(sample[c] * dims, (sample[c] + 1) * dims), c * dims);
+
+  for (let it = 0; it < iterations; it++) {
+    const sums = new Float32Array(nlist * dims);
+    for (let s = 0; s < sampleSize; s++) {
+      const row = sample[s];
+      const c = nearestCentroid(matrix, row, centroids, nlist, dims);
+      const off = row * dims;
+      const co = c * dims;
+      for (let i = 0; i < dims; i++) sums[co + i] += matrix[off + i];
+    }
+    // Spherical k-means: centroids are re-normalised, empty ones keep their old value.
+    for (let c = 0; c < nlist; c++) {
+      const co = c * dims;
+      let norm = 0;
+      for (let i = 0; i < dims; i++) norm += sums[co + i] * sums[co + i];
+      if (!norm) continue;
+      norm = Math.sqrt(norm);
+      for (let i = 0; i < dims; i++) centroids[co + i] = sums[co + i] / norm;
+    }
+  }
+
+  const listOf = new Uint32Array(count);
+  const sizes = new Uint32Array(nlist);
+  for (let row = 0; row < count; row++) {
+    const c = nearestCentroid(matrix, row, centroids, nlist, dims);
+    listOf[row] = c;
+    sizes[c]++;
+  }
+
+  const offsets = new Uint32Array(nlist + 1);
+  for (let c = 0; c < nlist; c++) offsets[c + 1] = offsets[c] + sizes[c];
+  const ids = new Uint32Array(count);
+  const cursor = offsets.slice(0, nlist);
+  for (let row = 0; row < count; row++) ids[cursor[listOf[row]]++] = row;
+
+  return {
+    type: "ivf",
+    dims,
+    count,
+    nlist,
+    fingerprint: fingerprintMatrix(matrix, count, dims),
+    centroids,
+    offsets,
+    ids,
+  };
+}
+
+/* ---------------------------------------------------------------------- */
+/*  SEARCH                                                                */
+/* ---------------------------------------------------------------------- */
+export function searchIvf(ivf, matrix, q, k, nprobe = 8) {
+  const { dims, nlist, centroids, offsets, ids } = ivf;
+
+  const probes = createTopK(Math.min(nprobe, nlist));
+  for (let c = 0; c < nlist; c++) probes.push(c, dotRow(q, centroids, c, dims));
+
+  const top = createTopK(k);
+  for (const { id: c } of probes.results()) {
+    for (let p = offsets[c]; p < offsets[c + 1]; p++) {
+      const row = ids[p];
+      top.push(row, dotRow(q, matrix, row, dims));
+    }
+  }
+  return top.results();
+}
+
+/* ---------------------------------------------------------------------- */
+/*  SERIALISE                                                             */
+/*  [magic 8][dims u32][count u32][nlist u32][fingerprint 32]             */
+/*  [centroids f32 × nlist·dims][offsets u32 × nlist+1][ids u32 × count]  */
+/* ---------------------------------------------------------------------- */
+export async function saveIvf(file, ivf) {
+  const header = Buffer.alloc(HEADER_BYTES);
+  header.write(MAGIC, 0, "ascii");
+  header.writeUInt32LE(ivf.dims, 8);
+  header.writeUInt32LE(ivf.count, 12);
+  header.writeUInt32LE(ivf.nlist, 16);
+  ivf.fingerprint.copy(header, 20);
+
+  const tmp = `${file}.tmp`;
+  await fs.promises.writeFile(tmp, Buffer.concat([
+    header,
+    Buffer.from(ivf.centroids.buffer, ivf.centroids.byteOffset, ivf.centroids.byteLength),
+    Buffer.from(ivf.offsets.buffer, ivf.offsets.byteOffset, ivf.offsets.byteLength),
+    Buffer.from(ivf.ids.buffer, ivf.ids.byteOffset, ivf.ids.byteLength),
+  ]));
+  await fs.promises.rename(tmp, file);
+}
+
+export async function loadIvf(file) {
+  const buf = await fs.promises.readFile(file);
+  if (buf.toString("ascii", 0, 8) !== MAGIC) throw new Error(`${file} is not an IVF index`);
+
+  const dims = buf.readUInt32LE(8);
+  const count = buf.readUInt32LE(12);
+  const nlist = buf.readUInt32LE(16);
+  const fingerprint = Buffer.from(buf.subarray(20, 52));
+
+  // Copy each section out so the typed arrays are 4-byte aligned.
+  let off = HEADER_BYTES;
+  const take = (Type, n) => {
+    const bytes = n * Type.BYTES_PER_ELEMENT;
+    const arr = new Type(buf.buffer.slice(buf.byteOffset + off, buf.byteOffset + off + bytes));
+    off += bytes;
+    return arr;
+  };
+
+  const centroids = take(Float32Array, nlist * dims);
+  const offsets = take(Uint32Array, nlist + 1);
+  const ids = take(Uint32Array, count);
+  return { type: "ivf", dims, count, nlist, fingerprint, centroids, offsets, ids };
+}
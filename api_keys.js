@@ -0,0 +1,133 @@
+// api_keys.js — API keys for server-to-server access (file based)
+// ISO Timestamp: 🕒 2026-10-19T19:08:16Z
+// A key is shown once when issued and only its SHA-256 hash is kept. Keys
+// are long random secrets, so a plain hash is enough to make a leaked key
+// file useless; no password-style stretching is needed.
+//
+//   key:  aivs_<key id>_<secret>          sent as "Authorization: Bearer <key>"
+//                                         or "X-API-Key: <key>"
+//   <API_KEYS_FILE>  { keys: [ { id, org, label, hash, createdAt, revokedAt } ] }
+//
+// The server re-reads the file when it changes, so a key issued or revoked
+// with the CLI takes effect without a restart:
+//
+//   node api_keys.js issue <organisation> [label]
+//   node api_keys.js revoke <key id>
+//   node api_keys.js list [organisation]
+
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { fileURLToPath } from "url";
+import { getOrganisation, listOrganisations } from "./organisations.js";
+
+const KEYS_FILE = process.env.API_KEYS_FILE || "/mnt/data/auth/api_keys.json";
+const KEY_PATTERN = /^aivs_([0-9a-f]{12})_([A-Za-z0-9_-]{43})$/;
+
+const hashKey = (key) => crypto.createHash("sha256").update(key, "utf8").digest("hex");
+
+/* ---------------------------------------------------------------------- */
+/*  STORE                                                                 */
+/* ---------------------------------------------------------------------- */
+function readKeys() {
+  try {
+    return JSON.parse(fs.readFileSync(KEYS_FILE, "utf8")).keys || [];
+  } catch (err) {
+    if (err.code === "ENOENT") return [];
+    throw err;
+  }
+}
+
+function writeKeys(keys) {
+  fs.mkdirSync(path.dirname(KEYS_FILE), { recursive: true });
+  const tmp = `${KEYS_FILE}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify({ keys }, null, 2), { mode: 0o600 });
+  fs.renameSync(tmp, KEYS_FILE);
+}
+
+// Cached until the file's modification time changes.
+let cache = { mtimeMs: null, byId: new Map() };
+function currentKeys() {
+  let mtimeMs = 0;
+  try {
+    mtimeMs = fs.statSync(KEYS_FILE).mtimeMs;
+  } catch (err) {
+    if (err.code !== "ENOENT") throw err;
+  }
+  if (mtimeMs !== cache.mtimeMs) cache = { mtimeMs, byId: new Map(readKeys().map((k) => [k.id, k])) };
+  return cache.byId;
+}
+
+/* ---------------------------------------------------------------------- */
+/*  ISSUE / REVOKE / VERIFY                                               */
+/* ---------------------------------------------------------------------- */
+// → { key, record }. The key itself is not stored anywhere.
+export function issueApiKey(org, label = "") {
+  if (!getOrganisation(org)) throw new Error(`Unknown organisation "${org}"`);
+  const id = crypto.randomBytes(6).toString("hex");
+  const key = `aivs_${id}_${crypto.randomBytes(32).toString("base64url")}`;
+  const record = { id, org, label, hash: hashKey(key), createdAt: new Date().toISOString(), revokedAt: null };
+  writeKeys([...readKeys(), record]);
+  return { key, record };
+}
+
+// Null when there is no such key; revoking twice keeps the first date.
+export function revokeApiKey(id) {
+  const keys = readKeys();
+  const record = keys.find((k) => k.id === id);
+  if (!record) return null;
+  record.revokedAt ||= new Date().toISOString();
+  writeKeys(keys);
+  return record;
+}
+
+export const listApiKeys = (org = null) =>
+  readKeys()
+    .filter((k) => !org || k.org === org)
+    .map(({ hash, ...k }) => k);
+
+// → { id, org, label } for a live key, else null.
+export function verifyApiKey(key) {
+  const match = KEY_PATTERN.exec(String(key || ""));
+  if (!match) return null;
+  const record = currentKeys().get(match[1]);
+  if (!record || record.revokedAt) return null;
+
+  const given = Buffer.from(hashKey(key), "hex");
+  const expected = Buffer.from(record.hash, "hex");
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) return null;
+  return { id: record.id, org: record.org, label: record.label };
+}
+
+/* ---------------------------------------------------------------------- */
+/*  CLI                                                                   */
+/* ---------------------------------------------------------------------- */
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const [command, arg, ...rest] = process.argv.slice(2);
+
+  if (command === "issue" && arg) {
+    if (!getOrganisation(arg)) {
+      console.error(`❌ Unknown organisation "${arg}"`);
+      process.exit(1);
+    }
+    const { key, record } = issueApiKey(arg, rest.join(" "));
+    console.log(`🔑 Key ${record.id} issued for ${record.org}. It is shown once — store it now:\n${key}`);
+  } else if (command === "revoke" && arg) {
+    const record = revokeApiKey(arg);
+    if (!record) {
+      console.error(`❌ No key ${arg}`);
+      process.exit(1);
+    }
+    console.log(`🚫 Key ${record.id} (${record.org}) revoked at ${record.revokedAt}`);
+  } else if (command === "list") {
+    console.log(JSON.stringify(listApiKeys(arg || null), null, 2));
+  } else {
+    console.error(
+      "Usage: node api_keys.js issue <organisation> [label]\n" +
+        "       node api_keys.js revoke <key id>\n" +
+        "       node api_keys.js list [organisation]\n" +
+        `Organisations: ${listOrganisations().map((o) => o.id).join(", ") || "none configured"}`
+    );
+    process.exit(2);
+  }
+}
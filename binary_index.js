@@ -0,0 +1,141 @@
+// binary_index.js — compact on-disk vector index
+// ISO Timestamp: 🕒 2026-10-19T18:24:37Z
+// The JSONL vector.index stores every float as text and has to be parsed
+// line by line. This format lets loadIndex() read the embedding matrix
+// straight into a Float32Array and decode chunk metadata only when needed.
+//
+// Layout (little-endian, sections 8-byte aligned):
+//   [0]  header, 64 bytes
+//          magic "AIVSVEC1" · version u32 · count u32 · dims u32 · flags u32
+//          matrixOffset u64 · offsetsOffset u64 · metaOffset u64 · metaBytes u64
+//   [..] matrix   f32 × count·dims, row-major, rows L2-normalised
+//   [..] offsets  u64 × count+1, byte offsets of each chunk into the meta blob
+//   [..] meta     UTF-8 JSON per chunk (text + metadata, no embedding)
+
+import fs from "fs";
+
+const MAGIC = "AIVSVEC1";
+const VERSION = 1;
+const HEADER_BYTES = 64;
+const FLAG_NORMALISED = 1;
+
+const align8 = (n) => Math.ceil(n / 8) * 8;
+
+/* ---------------------------------------------------------------------- */
+/*  DETECT                                                                */
+/* ---------------------------------------------------------------------- */
+export async function isBinaryIndex(file) {
+  const fd = await fs.promises.open(file, "r");
+  try {
+    const buf = Buffer.alloc(MAGIC.length);
+    const { bytesRead } = await fd.read(buf, 0, buf.length, 0);
+    return bytesRead === buf.length && buf.toString("ascii") === MAGIC;
+  } finally {
+    await fd.close();
+  }
+}
+
+/* ---------------------------------------------------------------------- */
+/*  WRITE                                                                 */
+/* ---------------------------------------------------------------------- */
+// `index` is the shape loadIndex() returns: { length, dims, matrix, chunk(row) }.
+export async function writeBinaryIndex(file, index) {
+  const { length: count, dims, matrix } = index;
+
+  const metas = [];
+  let metaBytes = 0;
+  for (let row = 0; row < count; row++) {
+    const b = Buffer.from(JSON.stringify(index.chunk(row)), "utf8");
+    metas.push(b);
+    metaBytes += b.length;
+  }
+
+  const matrixOffset = HEADER_BYTES;
+  const offsetsOffset = align8(matrixOffset + count * dims * 4);
+  const metaOffset = offsetsOffset + (count + 1) * 8;
+
+  const header = Buffer.alloc(HEADER_BYTES);
+  header.write(MAGIC, 0, "ascii");
+  header.writeUInt32LE(VERSION, 8);
+  header.writeUInt32LE(count, 12);
+  header.writeUInt32LE(dims, 16);
+  header.writeUInt32LE(FLAG_NORMALISED, 20);
+  header.writeBigUInt64LE(BigInt(matrixOffset), 24);
+  header.writeBigUInt64LE(BigInt(offsetsOffset), 32);
+  header.writeBigUInt64LE(BigInt(metaOffset), 40);
+  header.writeBigUInt64LE(BigInt(metaBytes), 48);
+
+  const offsets = new BigUint64Array(count + 1);
+  for (let row = 0, pos = 0; row < count; row++) {
+    pos += metas[row].length;
+    offsets[row + 1] = BigInt(pos);
+  }
+
+  const tmp = `${file}.tmp`;
+  const fd = await fs.promises.open(tmp, "w");
+  try {
+    await fd.write(header, 0, header.length, 0);
+    await fd.write(new Uint8Array(matrix.buffer, matrix.byteOffset, count * dims * 4), 0, count * dims * 4, matrixOffset);
+    await fd.write(new Uint8Array(offsets.buffer), 0, offsets.byteLength, offsetsOffset);
+
+    let pos = metaOffset;
+    for (const b of metas) {
+      await fd.write(b, 0, b.length, pos);
+      pos += b.length;
+    }
+  } finally {
+    await fd.close();
+  }
+  await fs.promises.rename(tmp, file);
+}
+
+/* ---------------------------------------------------------------------- */
+/*  READ                                                                  */
+/* ---------------------------------------------------------------------- */
+// Sections are read straight into typed arrays; chunk metadata stays as raw
+// bytes and is JSON-decoded per row on access.
+export async function readBinaryIndex(file, { limit = Infinity } = {}) {
+  const fd = await fs.promises.open(file, "r");
+  try {
+    const header = Buffer.alloc(HEADER_BYTES);
+    await fd.read(header, 0, HEADER_BYTES, 0);
+    if (header.toString("ascii", 0, 8) !== MAGIC) throw new Error(`${file} is not a binary vector index`);
+
+    const version = header.readUInt32LE(8);
+    if (version > VERSION) throw new Error(`${file} uses format v${version}; this build reads up to v${VERSION}`);
+
+    const total = header.readUInt32LE(12);
+    const dims = header.readUInt32LE(16);
+    const flags = header.readUInt32LE(20);
+    const matrixOffset = Number(header.readBigUInt64LE(24));
+    const offsetsOffset = Number(header.readBigUInt64LE(32));
+    const metaOffset = Number(header.readBigUInt64LE(40));
+
+    const count = Math.min(total, limit);
+    const readInto = async (typed, position) => {
+      const bytes = new Uint8Array(typed.buffer, typed.byteOffset, typed.byteLength);
+      for (let done = 0; done < bytes.length; ) {
+        const { bytesRead } = await fd.read(bytes, done, bytes.length - done, position + done);
+        if (!bytesRead) throw new Error(`${file} is truncated`);
+        done += bytesRead;
+      }
+      return typed;
+    };
+
+    const matrix = await readInto(new Float32Array(count * dims), matrixOffset);
+    const offsets = await readInto(new BigUint64Array(count + 1), offsetsOffset);
+    const meta = await readInto(Buffer.alloc(Number(offsets[count])), metaOffset);
+
+    return {
+      total,
+      count,
+      dims,
+      normalised: Boolean(flags & FLAG_NORMALISED),
+      matrix,
+      chunk: (row) =>
+        JSON.parse(meta.toString("utf8", Number(offsets[row]), Number(offsets[row + 1]))),
+    };
+  } finally {
+    await fd.close();
+  }
+}
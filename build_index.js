@@ -0,0 +1,422 @@
+// build_index.js — offline H&S index builder
+// ISO Timestamp: 🕒 2026-10-19T19:48:13Z
+// Walks a folder of HSE source documents (PDF, HTML, DOCX, TXT/MD),
+// extracts text, splits it into overlapping heading-aware chunks, embeds
+// each chunk and writes vector.index + chunks_metadata.jsonl in the JSONL
+// format that loadIndex() in vector_store.js reads.
+//
+// Usage:
+//   node build_index.js <sourceDir> [--out /mnt/data] [--embedder openai|local|./my_embedder.js]
+//                       [--chunk-size 1200] [--overlap 200] [--full] [--binary] [--ann ivf]
+//
+// Re-runs are incremental: documents whose content hash has not changed keep
+// their existing chunks, and any chunk whose text hash is already in the index
+// reuses its embedding instead of calling the embedder again. Each row records
+// the embedder that made it (its name includes the model), and only rows from
+// the embedder in use are reused, so switching --embedder re-embeds
+// everything. A document that fails to extract keeps its previous chunks.
+// --binary also writes vector.bin (see binary_index.js; point INDEX_PATH at
+// it to load the corpus without JSON parsing). --ann ivf also writes the
+// approximate index next to the index the server will load (see ann_index.js).
+// Without a <sourceDir> these only rebuild the derived files from the
+// existing vector.index:
+//   node build_index.js --out /mnt/data --binary --ann ivf [--nlist 256]
+
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { fileURLToPath, pathToFileURL } from "url";
+import dotenv from "dotenv";
+import pdfParse from "pdf-parse/lib/pdf-parse.js";
+import mammoth from "mammoth";
+import { createEmbeddingProvider } from "./providers.js";
+import { buildAnnIndex, convertToBinary } from "./vector_store.js";
+
+dotenv.config();
+
+const SUPPORTED = new Set([".pdf", ".html", ".htm", ".docx", ".txt", ".md"]);
+const EMBED_BATCH = 64;
+
+/* ---------------------------------------------------------------------- */
+/*  HELPERS                                                               */
+/* ---------------------------------------------------------------------- */
+const sha256 = (data) => crypto.createHash("sha256").update(data).digest("hex");
+
+function parseArgs(argv) {
+  const opts = {
+    source: null,
+    out: "/mnt/data",
+    embedder: process.env.EMBEDDING_PROVIDER || process.env.AI_PROVIDER || "openai",
+    chunkSize: 1200,
+    overlap: 200,
+    full: false,
+    binary: false,
+    ann: null,
+  };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === "--out") opts.out = argv[++i];
+    else if (a === "--embedder") opts.embedder = argv[++i];
+    else if (a === "--chunk-size") opts.chunkSize = Number(argv[++i]);
+    else if (a === "--overlap") opts.overlap = Number(argv[++i]);
+    else if (a === "--full") opts.full = true;
+    else if (a === "--binary") opts.binary = true;
+    else if (a === "--ann") opts.ann = argv[++i];
+    else if (a === "--nlist") opts.nlist = Number(argv[++i]);
+    else if (!a.startsWith("--") && !opts.source) opts.source = a;
+    else throw new Error(`Unknown argument: ${a}`);
+  }
+  if (opts.ann && opts.ann !== "ivf") throw new Error(`Unsupported --ann ${opts.ann} (expected ivf)`);
+  if (!opts.source && !opts.ann && !opts.binary) throw new Error("Missing <sourceDir>");
+  if (!(opts.overlap < opts.chunkSize))
+    throw new Error("--overlap must be smaller than --chunk-size");
+  return opts;
+}
+
+async function walk(dir) {
+  const out = [];
+  for (const entry of await fs.promises.readdir(dir, { withFileTypes: true })) {
+    const full = path.join(dir, entry.name);
+    if (entry.isDirectory()) out.push(...(await walk(full)));
+    else if (SUPPORTED.has(path.extname(entry.name).toLowerCase())) out.push(full);
+  }
+  return out.sort();
+}
+
+/* ---------------------------------------------------------------------- */
+/*  TEXT EXTRACTION                                                       */
+/*  Every extractor returns { title, blocks: [{ heading?, text, page }] } */
+/* ---------------------------------------------------------------------- */
+const ENTITIES = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'", nbsp: " ", pound: "£", ndash: "–", mdash: "—" };
+
+function decodeEntities(s) {
+  return s.replace(/&(#x?[0-9a-f]+|[a-z]+);/gi, (m, e) => {
+    if (e[0] === "#") {
+      const code = e[1].toLowerCase() === "x" ? parseInt(e.slice(2), 16) : parseInt(e.slice(1), 10);
+      return Number.isFinite(code) ? String.fromCodePoint(code) : m;
+    }
+    return ENTITIES[e.toLowerCase()] ?? m;
+  });
+}
+
+const stripTags = (s) =>
+  decodeEntities(s.replace(/<[^>]+>/g, " ")).replace(/\s+/g, " ").trim();
+
+export function extractHtml(html) {
+  const titleMatch = html.match(/<title[^>]*>([\s\S]*?)<\/title>/i);
+  const body = html
+    .replace(/<(script|style|nav|footer|noscript)[\s\S]*?<\/\1>/gi, " ")
+    .replace(/<!--[\s\S]*?-->/g, " ");
+
+  const blocks = [];
+  const re = /<(h[1-6]|p|li|td|th|pre|blockquote)[^>]*>([\s\S]*?)<\/\1>/gi;
+  let m;
+  while ((m = re.exec(body))) {
+    const text = stripTags(m[2]);
+    if (!text) continue;
+    if (/^h[1-6]$/i.test(m[1])) blocks.push({ heading: text, text: "" });
+    else blocks.push({ text: m[1].toLowerCase() === "li" ? `• ${text}` : text });
+  }
+
+  // Pages without block-level markup: fall back to the stripped body.
+  if (!blocks.length) {
+    const text = stripTags(body);
+    if (text) blocks.push({ text });
+  }
+
+  const firstHeading = blocks.find((b) => b.heading)?.heading;
+  return { title: titleMatch ? stripTags(titleMatch[1]) : firstHeading || null, blocks };
+}
+
+async function extractDocx(buf) {
+  const { value } = await mammoth.convertToHtml({ buffer: buf });
+  return extractHtml(value);
+}
+
+// PDF headings are not marked up, so use the same shape the report prompt
+// produces: numbered lines ("3.2 Welfare facilities") or short Title Case lines.
+const looksLikeHeading = (line) =>
+  line.length <= 90 &&
+  !/[.;,]$/.test(line) &&
+  (/^(\d+(\.\d+)*|[A-Z]\d*)\.?\s+[A-Z]/.test(line) || /^[A-Z][A-Za-z&'’\-\s]{2,60}$/.test(line));
+
+async function extractPdf(buf) {
+  const pages = [];
+  // pdf.js mis-reads Node Buffers (streams decode as garbage), so hand it a
+  // plain Uint8Array copy.
+  const data = await pdfParse(new Uint8Array(buf), {
+    pagerender: async (pageData) => {
+      const content = await pageData.getTextContent();
+      let lastY = null;
+      let text = "";
+      for (const item of content.items) {
+        const y = item.transform[5];
+        text += lastY === null || lastY === y ? item.str : `\n${item.str}`;
+        lastY = y;
+      }
+      pages.push(text);
+      return text;
+    },
+  });
+
+  const blocks = [];
+  pages.forEach((pageText, i) => {
+    let para = [];
+    const flush = () => {
+      if (para.length) blocks.push({ text: para.join(" "), page: i + 1 });
+      para = [];
+    };
+    for (const raw of pageText.split("\n")) {
+      const line = raw.replace(/\s+/g, " ").trim();
+      if (!line) { flush(); continue; }
+      if (looksLikeHeading(line)) {
+        flush();
+        blocks.push({ heading: line, text: "", page: i + 1 });
+      } else {
+        para.push(line);
+      }
+    }
+    flush();
+  });
+
+  return { title: data.info?.Title || null, blocks };
+}
+
+function extractPlain(text) {
+  const blocks = [];
+  const pushText = (t) => {
+    if (!t) return;
+    if (looksLikeHeading(t)) blocks.push({ heading: t, text: "" });
+    else blocks.push({ text: t.replace(/\s*\n\s*/g, " ") });
+  };
+  for (const para of text.split(/\n\s*\n/)) {
+    // A Markdown heading often sits directly on top of its body with no
+    // blank line between, so "#" lines are split out of the paragraph.
+    let lines = [];
+    for (const line of para.split("\n")) {
+      const md = line.trim().match(/^#{1,6}\s+(.+)$/);
+      if (!md) {
+        lines.push(line);
+        continue;
+      }
+      pushText(lines.join("\n").trim());
+      lines = [];
+      blocks.push({ heading: md[1].trim(), text: "" });
+    }
+    pushText(lines.join("\n").trim());
+  }
+  return { title: blocks.find((b) => b.heading)?.heading || null, blocks };
+}
+
+export async function extractDocument(file, buf) {
+  switch (path.extname(file).toLowerCase()) {
+    case ".pdf": return extractPdf(buf);
+    case ".docx": return extractDocx(buf);
+    case ".html":
+    case ".htm": return extractHtml(buf.toString("utf8"));
+    default: return extractPlain(buf.toString("utf8"));
+  }
+}
+
+/* ---------------------------------------------------------------------- */
+/*  CHUNKING                                                              */
+/* ---------------------------------------------------------------------- */
+// Chunks never cross a heading. Long sections are split on sentence
+// boundaries with `overlap` characters carried into the next chunk, and the
+// heading is repeated at the top of every chunk so the LLM sees it.
+export function chunkBlocks(blocks, { chunkSize = 1200, overlap = 200 } = {}) {
+  const chunks = [];
+  let section = null;
+  let buf = "";
+  let page = null;
+
+  const emit = () => {
+    const body = buf.trim();
+    if (body) chunks.push({ section, page, text: section ? `${section}\n${body}` : body });
+    buf = "";
+  };
+
+  for (const b of blocks) {
+    if (b.heading) {
+      emit();
+      section = b.heading;
+      page = b.page ?? null;
+      continue;
+    }
+    if (!buf) page = b.page ?? page;
+
+    const sentences = b.text.match(/[^.!?]+[.!?]+["')\]]*\s*|[^.!?]+$/g) || [b.text];
+    for (const s of sentences) {
+      if (buf && buf.length + s.length + 1 > chunkSize) {
+        const carry = buf.slice(-overlap);
+        emit();
+        buf = carry.slice(carry.indexOf(" ") + 1);
+        page = b.page ?? page;
+      }
+      buf += (buf && !/\s$/.test(buf) ? " " : "") + s;
+    }
+    buf += "\n";
+  }
+  emit();
+  return chunks;
+}
+
+/* ---------------------------------------------------------------------- */
+/*  EMBEDDERS                                                             */
+/* ---------------------------------------------------------------------- */
+// An embedder is any object with `embed(texts: string[]) => number[][]`.
+// Built-in names come from providers.js; anything else is treated as a path
+// to a module exporting embed() (default export or named).
+// The index must be built with the same embedder the server queries with.
+async function loadEmbedder(spec) {
+  if (!/[\\/.]/.test(spec)) return createEmbeddingProvider(spec);
+
+  const mod = await import(pathToFileURL(path.resolve(spec)).href);
+  const embed = mod.embed || mod.default?.embed || mod.default;
+  if (typeof embed !== "function")
+    throw new Error(`Embedder module ${spec} does not export embed()`);
+  return { name: spec, embed };
+}
+
+/* ---------------------------------------------------------------------- */
+/*  EXISTING INDEX                                                        */
+/* ---------------------------------------------------------------------- */
+// Rows from another embedder (or from before rows recorded one) are left
+// out of byContent; they are in another vector space.
+async function readExisting(indexPath, embedderName) {
+  const byFile = new Map();
+  const byContent = new Map();
+  if (!fs.existsSync(indexPath)) return { byFile, byContent };
+
+  const text = await fs.promises.readFile(indexPath, "utf8");
+  for (const line of text.split("\n")) {
+    if (!line.trim()) continue;
+    try {
+      const obj = JSON.parse(line);
+      if (!obj.embedding) continue;
+      if (obj.file) {
+        if (!byFile.has(obj.file)) byFile.set(obj.file, []);
+        byFile.get(obj.file).push(obj);
+      }
+      if (obj.content_hash && obj.embedder === embedderName) byContent.set(obj.content_hash, obj.embedding);
+    } catch {}
+  }
+  return { byFile, byContent };
+}
+
+async function writeJsonl(file, rows) {
+  const tmp = `${file}.tmp`;
+  const out = fs.createWriteStream(tmp, { encoding: "utf8" });
+  for (const row of rows) {
+    if (!out.write(JSON.stringify(row) + "\n"))
+      await new Promise((r) => out.once("drain", r));
+  }
+  await new Promise((resolve, reject) => out.end((err) => (err ? reject(err) : resolve())));
+  await fs.promises.rename(tmp, file);
+}
+
+/* ---------------------------------------------------------------------- */
+/*  BUILD                                                                 */
+/* ---------------------------------------------------------------------- */
+export async function buildIndex(opts) {
+  const sourceDir = path.resolve(opts.source);
+  const indexPath = path.join(opts.out, "vector.index");
+  const metaPath = path.join(opts.out, "chunks_metadata.jsonl");
+  await fs.promises.mkdir(opts.out, { recursive: true });
+
+  const embedder = await loadEmbedder(opts.embedder);
+  const existing = opts.full
+    ? { byFile: new Map(), byContent: new Map() }
+    : await readExisting(indexPath, embedder.name);
+
+  const files = await walk(sourceDir);
+  console.log(`📂 ${files.length} source documents in ${sourceDir}`);
+
+  const rows = [];
+  const stats = { unchanged: 0, ingested: 0, embedded: 0, reused: 0, failed: 0 };
+
+  for (const full of files) {
+    const file = path.relative(sourceDir, full).split(path.sep).join("/");
+    const buf = await fs.promises.readFile(full);
+    const docHash = sha256(buf);
+
+    const prev = existing.byFile.get(file);
+    const reusable = prev?.length > 0 && prev.every((c) => c.embedder === embedder.name);
+    if (reusable && prev.every((c) => c.doc_hash === docHash)) {
+      rows.push(...prev);
+      stats.unchanged++;
+      continue;
+    }
+
+    let doc;
+    try {
+      doc = await extractDocument(full, buf);
+    } catch (err) {
+      console.error(`❌ ${file}: ${err.message}${reusable ? ` (keeping its ${prev.length} earlier chunks)` : ""}`);
+      if (reusable) rows.push(...prev);
+      stats.failed++;
+      continue;
+    }
+
+    const title = doc.title || path.basename(file, path.extname(file));
+    const chunks = chunkBlocks(doc.blocks, opts).map((c, n) => ({
+      id: `${file}#${n}`,
+      title,
+      file,
+      section: c.section,
+      page: c.page,
+      text: c.text,
+      doc_hash: docHash,
+      content_hash: sha256(c.text),
+      embedder: embedder.name,
+    }));
+
+    const todo = chunks.filter((c) => !existing.byContent.has(c.content_hash));
+    for (let i = 0; i < todo.length; i += EMBED_BATCH) {
+      const batch = todo.slice(i, i + EMBED_BATCH);
+      const vectors = await embedder.embed(batch.map((c) => c.text));
+      batch.forEach((c, j) => existing.byContent.set(c.content_hash, vectors[j]));
+    }
+
+    for (const c of chunks) rows.push({ ...c, embedding: existing.byContent.get(c.content_hash) });
+    stats.embedded += todo.length;
+    stats.reused += chunks.length - todo.length;
+    stats.ingested++;
+    console.log(`  → ${file}: ${chunks.length} chunks (${todo.length} embedded)`);
+  }
+
+  await writeJsonl(indexPath, rows);
+  await writeJsonl(metaPath, rows.map(({ embedding, ...meta }) => meta));
+
+  console.log(
+    `✅ ${rows.length} chunks written to ${indexPath} ` +
+    `(${stats.ingested} ingested, ${stats.unchanged} unchanged, ${stats.failed} failed; ` +
+    `${stats.embedded} embedded, ${stats.reused} reused) using ${embedder.name}`
+  );
+  await buildDerived(opts);
+  return { ...stats, chunks: rows.length };
+}
+
+// vector.bin and the IVF file are derived from vector.index, which stays the
+// source of truth for incremental re-ingestion.
+async function buildDerived(opts) {
+  const indexPath = path.join(opts.out, "vector.index");
+  const binPath = path.join(opts.out, "vector.bin");
+  if (opts.binary) await convertToBinary(indexPath, binPath);
+  if (opts.ann === "ivf")
+    await buildAnnIndex(opts.binary ? binPath : indexPath, { nlist: opts.nlist });
+}
+
+/* ---------------------------------------------------------------------- */
+/*  CLI                                                                   */
+/* ---------------------------------------------------------------------- */
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  try {
+    const opts = parseArgs(process.argv.slice(2));
+    if (opts.source) await buildIndex(opts);
+    else await buildDerived(opts);
+  } catch (err) {
+    console.error("❌ Index build failed:", err.message);
+    process.exit(1);
+  }
+}
@@ -0,0 +1,356 @@
+// coshh.js — COSHH assessment of a hazardous substance
+// ISO Timestamp: 🕒 2026-10-19T19:50:04Z
+// POST /coshh takes a substance, its hazard statements or an SDS extract,
+// the quantity, the exposure routes and how often it is used. The hazard
+// classification, the workplace exposure limits (local EH40 table, eh40.js)
+// and the health surveillance triggers are decided here from the codes and
+// the table, never by the model; the model writes the control hierarchy,
+// PPE, surveillance detail and emergency measures from the retrieved
+// guidance. Guidance only: it does not replace the SDS or a competent
+// person's assessment under COSHH 2002 reg. 6.
+
+import { text, list, object, validateSchema } from "./report_schema.js";
+import { extractCasNumbers, findWels, formatLimit, EH40_EDITION } from "./eh40.js";
+import { stringList } from "./request_input.js";
+
+export const ROUTES = ["inhalation", "skin", "eyes", "ingestion", "injection"];
+
+// GB CLP hazard statements (physical, health, environmental).
+export const HAZARD_STATEMENTS = {
+  H220: { text: "Extremely flammable gas", group: "physical" },
+  H221: { text: "Flammable gas", group: "physical" },
+  H222: { text: "Extremely flammable aerosol", group: "physical" },
+  H223: { text: "Flammable aerosol", group: "physical" },
+  H224: { text: "Extremely flammable liquid and vapour", group: "physical" },
+  H225: { text: "Highly flammable liquid and vapour", group: "physical" },
+  H226: { text: "Flammable liquid and vapour", group: "physical" },
+  H228: { text: "Flammable solid", group: "physical" },
+  H270: { text: "May cause or intensify fire; oxidiser", group: "physical" },
+  H271: { text: "May cause fire or explosion; strong oxidiser", group: "physical" },
+  H272: { text: "May intensify fire; oxidiser", group: "physical" },
+  H280: { text: "Contains gas under pressure; may explode if heated", group: "physical" },
+  H281: { text: "Contains refrigerated gas; may cause cryogenic burns or injury", group: "physical" },
+  H290: { text: "May be corrosive to metals", group: "physical" },
+  H300: { text: "Fatal if swallowed", group: "health" },
+  H301: { text: "Toxic if swallowed", group: "health" },
+  H302: { text: "Harmful if swallowed", group: "health" },
+  H304: { text: "May be fatal if swallowed and enters airways", group: "health" },
+  H310: { text: "Fatal in contact with skin", group: "health" },
+  H311: { text: "Toxic in contact with skin", group: "health" },
+  H312: { text: "Harmful in contact with skin", group: "health" },
+  H314: { text: "Causes severe skin burns and eye damage", group: "health" },
+  H315: { text: "Causes skin irritation", group: "health" },
+  H317: { text: "May cause an allergic skin reaction", group: "health" },
+  H318: { text: "Causes serious eye damage", group: "health" },
+  H319: { text: "Causes serious eye irritation", group: "health" },
+  H330: { text: "Fatal if inhaled", group: "health" },
+  H331: { text: "Toxic if inhaled", group: "health" },
+  H332: { text: "Harmful if inhaled", group: "health" },
+  H334: { text: "May cause allergy or asthma symptoms or breathing difficulties if inhaled", group: "health" },
+  H335: { text: "May cause respiratory irritation", group: "health" },
+  H336: { text: "May cause drowsiness or dizziness", group: "health" },
+  H340: { text: "May cause genetic defects", group: "health" },
+  H341: { text: "Suspected of causing genetic defects", group: "health" },
+  H350: { text: "May cause cancer", group: "health" },
+  H350i: { text: "May cause cancer by inhalation", group: "health" },
+  H351: { text: "Suspected of causing cancer", group: "health" },
+  H360: { text: "May damage fertility or the unborn child", group: "health" },
+  H361: { text: "Suspected of damaging fertility or the unborn child", group: "health" },
+  H362: { text: "May cause harm to breast-fed children", group: "health" },
+  H370: { text: "Causes damage to organs", group: "health" },
+  H371: { text: "May cause damage to organs", group: "health" },
+  H372: { text: "Causes damage to organs through prolonged or repeated exposure", group: "health" },
+  H373: { text: "May cause damage to organs through prolonged or repeated exposure", group: "health" },
+  H400: { text: "Very toxic to aquatic life", group: "environmental" },
+  H410: { text: "Very toxic to aquatic life with long lasting effects", group: "environmental" },
+  H411: { text: "Toxic to aquatic life with long lasting effects", group: "environmental" },
+  H412: { text: "Harmful to aquatic life with long lasting effects", group: "environmental" },
+  H413: { text: "May cause long lasting harmful effects to aquatic life", group: "environmental" },
+  EUH066: { text: "Repeated exposure may cause skin dryness or cracking", group: "health" },
+  EUH071: { text: "Corrosive to the respiratory tract", group: "health" },
+};
+
+const MAX_SDS_CHARS = 20000;
+const COSHH = "COSHH 2002";
+
+export const COSHH_SCHEMA = object({
+  summary: text("Summary of the substance, the task and the overall risk"),
+  classification: text("The hazard classification explained in plain terms for this task"),
+  exposure: text("How people could be exposed, given the routes, quantity and frequency"),
+  controls: object(
+    {
+      eliminationOrSubstitution: list(
+        text("One way to eliminate the substance or use a less hazardous one or form, citing passages as [n]"),
+        "Elimination or substitution"
+      ),
+      engineering: list(text("One engineering control, e.g. enclosure or LEV, citing passages as [n]"), "Engineering controls"),
+      administrative: list(
+        text("One administrative control, e.g. safe system of work, training or reduced exposure time"),
+        "Administrative controls"
+      ),
+    },
+    "Control hierarchy, in COSHH Schedule 2A order"
+  ),
+  ppe: list(
+    object({
+      item: text("PPE or RPE item"),
+      specification: text("Type, material or standard, e.g. glove material or RPE assigned protection factor"),
+    }),
+    "Personal protective equipment, including RPE"
+  ),
+  healthSurveillance: list(text("One health surveillance or exposure monitoring measure"), "Health surveillance and monitoring"),
+  emergency: object(
+    {
+      firstAid: list(text("One first aid measure"), "First aid by exposure route"),
+      spillage: list(text("One spillage or accidental release measure"), "Spillage and accidental release"),
+      fire: list(text("One fire or explosion measure"), "Fire and explosion"),
+    },
+    "Emergency measures"
+  ),
+  review: text("When and how the assessment should be reviewed"),
+  references: list(
+    object({
+      title: text("Regulation, ACoP or HSE guidance reference"),
+      passage: { type: ["integer", "null"], description: "Context passage number [n] it relies on, or null" },
+    }),
+    "Key references and guidance"
+  ),
+});
+
+/* ---------------------------------------------------------------------- */
+/*  INPUT                                                                 */
+/* ---------------------------------------------------------------------- */
+// "H350i", "H360FD", "EUH066"; the suffix letters are kept as written.
+const H_CODE = /\b(EUH\d{3}|H\d{3}[A-Za-z]{0,2})\b/g;
+
+// Lists may be arrays or separated strings (hazard statements one per line,
+// routes by newline, ";" or ","). Codes and CAS numbers are read from the
+// hazard statements and the SDS extract.
+export function normaliseCoshhInput(body = {}) {
+  const hazardStatements = stringList(body.hazardStatements, /\n/);
+  const sdsExtract = String(body.sdsExtract || "").trim();
+  const searchable = `${hazardStatements.join("\n")}\n${sdsExtract}`;
+  return {
+    substance: String(body.substance || "").trim(),
+    cas: extractCasNumbers(`${body.cas || ""}\n${sdsExtract}`),
+    task: String(body.task || "").trim() || null,
+    location: String(body.location || "").trim() || null,
+    hazardStatements,
+    sdsExtract,
+    hazardCodes: [...new Set(searchable.match(H_CODE) || [])],
+    quantity: String(body.quantity || "").trim(),
+    routes: stringList(body.routes ?? body.route, /\n|;|,/).map((r) => r.toLowerCase()),
+    frequency: String(body.frequency || "").trim(),
+  };
+}
+
+export function validateCoshhInput(input) {
+  const errors = [];
+  if (!input.substance) errors.push("substance is required");
+  if (!input.hazardStatements.length && !input.sdsExtract)
+    errors.push("hazardStatements or sdsExtract is required");
+  if (input.sdsExtract.length > MAX_SDS_CHARS)
+    errors.push(`sdsExtract may be at most ${MAX_SDS_CHARS} characters`);
+  if (!input.quantity) errors.push("quantity is required");
+  if (!input.routes.length) errors.push(`routes must list at least one of ${ROUTES.join(", ")}`);
+  for (const r of input.routes) if (!ROUTES.includes(r)) errors.push(`routes: unknown route "${r}"`);
+  if (!input.frequency) errors.push("frequency is required");
+  return errors;
+}
+
+export function validateCoshh(value) {
+  const errors = validateSchema(value, COSHH_SCHEMA);
+  return { valid: !errors.length, errors };
+}
+
+/* ---------------------------------------------------------------------- */
+/*  CLASSIFICATION, WELS, SURVEILLANCE                                    */
+/* ---------------------------------------------------------------------- */
+// H360FD → H360; H350i has its own entry.
+const lookupCode = (code) => HAZARD_STATEMENTS[code] || HAZARD_STATEMENTS[code.slice(0, 4)] || null;
+
+export function classifySubstance(input) {
+  return input.hazardCodes.map((code) => {
+    const known = lookupCode(code);
+    return known
+      ? { code, text: known.text, group: known.group, known: true }
+      : { code, text: "Not in the local hazard statement table; check the SDS", group: "unknown", known: false };
+  });
+}
+
+// Rules from COSHH regs. 10 and 11 and HSE guidance G402 / G403. The
+// result is given to the model as fact and always printed in section 6.
+export function surveillanceNeeds(input, classification, wels) {
+  const codes = new Set(classification.flatMap((c) => [c.code, c.code.slice(0, 4)]));
+  const has = (...list) => list.some((c) => codes.has(c));
+  const notations = new Set(wels.flatMap((w) => w.notations));
+  const route = (r) => input.routes.includes(r);
+  const measures = [];
+
+  if (route("inhalation") && (has("H334") || notations.has("Sen")))
+    measures.push({
+      measure: "Respiratory health surveillance: baseline and periodic symptom questionnaires and lung function tests",
+      basis: `Respiratory sensitiser; ${COSHH} reg. 11, HSE G402`,
+    });
+  if ((route("skin") || route("eyes")) && has("H317", "H315", "EUH066"))
+    measures.push({
+      measure: "Skin health surveillance: regular skin checks by a responsible person, referral to an occupational health professional",
+      basis: `${has("H317") ? "Skin sensitiser" : "Skin irritant"}; ${COSHH} reg. 11, HSE G403`,
+    });
+  if (route("skin") && notations.has("Sk"))
+    measures.push({
+      measure: "Consider biological monitoring, as the substance can be absorbed through the skin",
+      basis: `EH40 Sk notation; ${COSHH} reg. 11`,
+    });
+  if (has("H340", "H350", "H350i") || notations.has("Carc"))
+    measures.push({
+      measure: "Keep exposure as low as reasonably practicable and keep health records of exposed employees for 40 years",
+      basis: `Carcinogen or mutagen; ${COSHH} regs. 7(5) and 11(3)`,
+    });
+  if (route("inhalation") && wels.length)
+    measures.push({
+      measure: "Air monitoring against the WEL unless exposure is shown to be well below it by other means",
+      basis: `${COSHH} reg. 10`,
+    });
+
+  const surveillance = measures.some((m) => /reg\. 11/.test(m.basis));
+  return {
+    required: surveillance,
+    measures,
+    recordKeeping: [
+      surveillance && `Health records: at least 40 years from the last entry (${COSHH} reg. 11(3))`,
+      `Exposure monitoring records: 5 years, or 40 years where they are personal exposure records of identifiable employees (${COSHH} reg. 10(5))`,
+    ].filter(Boolean),
+  };
+}
+
+// Everything /coshh decides without the model.
+export function coshhFacts(input) {
+  const classification = classifySubstance(input);
+  const wels = findWels({ substance: input.substance, cas: input.cas });
+  return { classification, wels, surveillance: surveillanceNeeds(input, classification, wels) };
+}
+
+/* ---------------------------------------------------------------------- */
+/*  REPORT SECTIONS                                                       */
+/* ---------------------------------------------------------------------- */
+const bullets = (items) => (items.length ? [{ type: "bullets", items }] : []);
+const paragraph = (text) => ({ type: "paragraph", text });
+const cell = (text) => ({ text });
+const GROUP_LABELS = { physical: "Physical", health: "Health", environmental: "Environmental", unknown: "Unknown" };
+
+function classificationTable(classification) {
+  return {
+    type: "table",
+    columns: [{ title: "Code", width: 1 }, { title: "Hazard statement", width: 5 }, { title: "Type", width: 1.6 }],
+    rows: classification.map((c) => [cell(c.code), cell(c.text), cell(GROUP_LABELS[c.group])]),
+  };
+}
+
+function welTable(wels) {
+  return {
+    type: "table",
+    columns: [
+      { title: "Substance", width: 3 },
+      { title: "CAS", width: 1.4 },
+      { title: "8-hr TWA", width: 2 },
+      { title: "15-min STEL", width: 2 },
+      { title: "Notations", width: 1.2 },
+    ],
+    rows: wels.map((w) => [
+      cell(w.substance),
+      cell(w.cas || "—"),
+      cell(formatLimit(w.ltel)),
+      cell(formatLimit(w.stel)),
+      cell(w.notations.join(", ") || "—"),
+    ]),
+  };
+}
+
+const controlLevel = (title, items) => [{ type: "subheading", text: title }, ...bullets(items.length ? items : ["None identified."])];
+
+export function coshhSections(input, assessment, { classification, wels, surveillance }) {
+  const { controls, emergency } = assessment;
+  return [
+    {
+      title: "Substance and task",
+      blocks: [
+        paragraph(`Substance: ${input.substance}`),
+        ...(input.cas.length ? [paragraph(`CAS number: ${input.cas.join(", ")}`)] : []),
+        ...(input.task ? [paragraph(`Task: ${input.task}`)] : []),
+        ...(input.location ? [paragraph(`Location: ${input.location}`)] : []),
+        paragraph(`Quantity: ${input.quantity}`),
+        paragraph(`Exposure routes: ${input.routes.join(", ")}`),
+        paragraph(`Frequency: ${input.frequency}`),
+        paragraph(assessment.summary),
+      ],
+    },
+    {
+      title: "Hazard classification",
+      blocks: [
+        ...(classification.length
+          ? [classificationTable(classification)]
+          : [paragraph("No hazard statement codes were found in the details supplied; check section 2 of the SDS.")]),
+        paragraph(assessment.classification),
+      ],
+    },
+    {
+      title: "Exposure and workplace exposure limits",
+      blocks: [
+        paragraph(assessment.exposure),
+        ...(wels.length
+          ? [welTable(wels), paragraph(`Limits from ${EH40_EDITION}.`)]
+          : [
+              paragraph(
+                `No workplace exposure limit for this substance in the local EH40 table. Exposure must still be adequately controlled (${COSHH} reg. 7); check the current EH40 and the SDS.`
+              ),
+            ]),
+      ],
+    },
+    {
+      title: "Control measures",
+      blocks: [
+        ...controlLevel("Elimination or substitution", controls.eliminationOrSubstitution),
+        ...controlLevel("Engineering controls", controls.engineering),
+        ...controlLevel("Administrative controls", controls.administrative),
+      ],
+    },
+    {
+      title: "Personal protective equipment",
+      blocks: [
+        paragraph("PPE is the last line of defence, used with the controls above and not instead of them."),
+        ...(assessment.ppe.length
+          ? [
+              {
+                type: "table",
+                columns: [{ title: "Item", width: 2 }, { title: "Specification", width: 5 }],
+                rows: assessment.ppe.map((p) => [cell(p.item), cell(p.specification)]),
+              },
+            ]
+          : []),
+      ],
+    },
+    {
+      title: "Health surveillance and monitoring",
+      blocks: [
+        paragraph(`Health surveillance: ${surveillance.required ? "Required" : "Not indicated by the hazard statements and routes supplied"}`),
+        ...bullets(surveillance.measures.map((m) => `${m.measure} (${m.basis})`)),
+        ...bullets(surveillance.recordKeeping),
+        ...bullets(assessment.healthSurveillance),
+      ],
+    },
+    {
+      title: "Emergency measures",
+      blocks: [
+        ...controlLevel("First aid", emergency.firstAid),
+        ...controlLevel("Spillage and accidental release", emergency.spillage),
+        ...controlLevel("Fire and explosion", emergency.fire),
+      ],
+    },
+    { title: "Review and monitoring", blocks: [paragraph(assessment.review)] },
+    {
+      title: "Key references and guidance",
+      blocks: bullets(assessment.references.map((r) => (r.passage ? `${r.title} [${r.passage}]` : r.title))),
+    },
+  ].map((section, i) => ({ number: i + 1, ...section }));
+}
@@ -0,0 +1,136 @@
+// docx_report.js — Word report renderer
+// ISO Timestamp: 🕒 2026-10-19T18:41:56Z
+// Renders the report model (report_model.js). Heading sizes fixed, Word
+// auto-outline disabled, bullets with a hanging indent, tables with shaded
+// cells.
+
+import {
+  Document, Packer, Paragraph, TextRun, Table, TableRow, TableCell, WidthType, ShadingType
+} from "docx";
+import { REPORT_TITLE } from "./report_model.js";
+
+const BLUE = "4e65ac";
+const TABLE_WIDTH = 9000;   // twips, A4 portrait inside the default margins
+
+/* ---------------------------------------------------------------------- */
+/*  PARAGRAPHS                                                            */
+/* ---------------------------------------------------------------------- */
+const heading = (text, spacing) =>
+  new Paragraph({
+    outlineLevel: undefined,   // disable Word auto-outline
+    numbering: undefined,
+    spacing,
+    children: [new TextRun({ text, bold: true, size: 28, color: BLUE })],
+  });
+
+const paragraph = (text, { size = 22, color, after = 120 } = {}) =>
+  new Paragraph({
+    spacing: { after },
+    children: [new TextRun({ text, size, color })],
+  });
+
+const bullet = (text) =>
+  new Paragraph({
+    spacing: { after: 60 },
+    indent: { left: 680, hanging: 360 },
+    children: [new TextRun({ text: `• ${text}`, size: 22 })],
+  });
+
+// Column widths are relative in the model; cell text may hold "\n" breaks.
+function table({ columns, rows }) {
+  const total = columns.reduce((sum, c) => sum + (c.width || 1), 0);
+  const widths = columns.map((c) => Math.round((TABLE_WIDTH * (c.width || 1)) / total));
+
+  const tableCell = (c, i, header) =>
+    new TableCell({
+      width: { size: widths[i], type: WidthType.DXA },
+      shading: header
+        ? { fill: BLUE, type: ShadingType.CLEAR, color: "auto" }
+        : c.fill && { fill: c.fill, type: ShadingType.CLEAR, color: "auto" },
+      margins: { top: 40, bottom: 40, left: 60, right: 60 },
+      children: String(c.text).split("\n").map(
+        (line) =>
+          new Paragraph({
+            children: [new TextRun({ text: line, size: 16, bold: header, color: header ? "ffffff" : undefined })],
+          })
+      ),
+    });
+
+  return new Table({
+    width: { size: TABLE_WIDTH, type: WidthType.DXA },
+    columnWidths: widths,
+    rows: [
+      new TableRow({ tableHeader: true, children: columns.map((c, i) => tableCell({ text: c.title }, i, true)) }),
+      ...rows.map((r) => new TableRow({ cantSplit: true, children: r.map((c, i) => tableCell(c, i, false)) })),
+    ],
+  });
+}
+
+function blockParagraphs(blocks) {
+  const out = [];
+  for (const b of blocks) {
+    /* SUBHEADINGS — also 28pt BLUE */
+    if (b.type === "subheading") out.push(heading(b.text, { before: 120, after: 80 }));
+    /* BULLETS */
+    else if (b.type === "bullets") out.push(...b.items.map(bullet));
+    /* TABLES */
+    else if (b.type === "table") {
+      if (b.caption) out.push(heading(b.caption, { before: 120, after: 80 }));
+      out.push(table(b), new Paragraph({ spacing: { after: 120 } }));
+    }
+    /* NORMAL PARAGRAPH */
+    else out.push(paragraph(b.text));
+  }
+  return out;
+}
+
+/* ---------------------------------------------------------------------- */
+/*  BUILD                                                                 */
+/* ---------------------------------------------------------------------- */
+export async function buildDocx({ model }) {
+  const children = [];
+
+  /* TITLE */
+  children.push(
+    new Paragraph({
+      alignment: "center",
+      spacing: { after: 200 },
+      children: [
+        new TextRun({ text: (model.title || REPORT_TITLE).toUpperCase(), bold: true, size: 32, color: BLUE }),
+      ],
+    })
+  );
+
+  /* TIMESTAMP */
+  children.push(
+    new Paragraph({
+      alignment: "center",
+      spacing: { after: 300 },
+      children: [
+        new TextRun({ text: `Generated ${model.meta.generated}`, bold: true, size: 24, color: BLUE }),
+      ],
+    })
+  );
+
+  /* BODY — numbered headings 28pt BLUE */
+  children.push(...blockParagraphs(model.preamble));
+  for (const s of model.sections) {
+    children.push(heading(`${s.number}. ${s.title}`, { before: 200, after: 120 }));
+    children.push(...blockParagraphs(s.blocks));
+  }
+
+  /* SOURCES */
+  if (model.references.length) {
+    children.push(heading("Sources", { before: 120, after: 80 }));
+    for (const r of model.references) children.push(paragraph(`[${r.ref}] ${r.text}`, { size: 18, after: 60 }));
+  }
+
+  /* FOOTER */
+  if (model.footer.length) {
+    children.push(new Paragraph(""));
+    for (const line of model.footer) children.push(paragraph(line, { size: 18, color: "6b7280", after: 40 }));
+  }
+
+  const doc = new Document({ sections: [{ children }] });
+  return Packer.toBuffer(doc);
+}
@@ -0,0 +1,168 @@
+// domains.js — knowledge domains hosted by the one server
+// ISO Timestamp: 🕒 2026-10-19T18:55:54Z
+// Each domain (health & safety, accounting/HMRC, fire safety…) has its own
+// index file, prompt template, section structure and footer, defined in
+// domains.json (or DOMAINS_CONFIG). /ask picks one with `domain`; the
+// default is used when it is omitted.
+//
+//   "<id>": {
+//     name, title, emailSubject,
+//     template:    "health-safety"         prompt + footer (prompt_templates.js)
+//     templateVersion: "v2"                 optional pin; the newest version otherwise
+//     schema:      "health-safety"         built-in report (report_schema.js, RIDDOR), or
+//     sections:    [ { key, title, type: "text" | "list" | "references", description? } ]
+//     indexPath:   file, null for INDEX_PATH
+//     preload:     load the index at start-up instead of on first use
+//   }
+//
+// The config is checked once at start-up and a bad file stops the server.
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { loadIndex } from "./vector_store.js";
+import { buildBm25 } from "./keyword_index.js";
+import { getTemplate } from "./prompt_templates.js";
+import {
+  REPORT_SCHEMA, SECTION_TYPES, parseStructuredReport, parseStructuredOutput, validateSchema, structuredSections,
+  sectionsSchema, configuredSections
+} from "./report_schema.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const CONFIG_PATH = process.env.DOMAINS_CONFIG || path.join(__dirname, "domains.json");
+const ID_PATTERN = /^[a-z0-9-]+$/;
+
+/* ---------------------------------------------------------------------- */
+/*  CONFIG                                                                */
+/* ---------------------------------------------------------------------- */
+function checkDomain(id, d) {
+  const errors = [];
+  const at = `domains.${id}`;
+  if (!ID_PATTERN.test(id)) errors.push(`${at}: id must be lower-case letters, digits and "-"`);
+  for (const key of ["name", "title", "emailSubject"])
+    if (typeof d[key] !== "string" || !d[key]) errors.push(`${at}.${key}: required`);
+  if (typeof d.template !== "string" || !d.template) errors.push(`${at}.template: required`);
+  else if (!getTemplate(d.template, d.templateVersion || null))
+    errors.push(`${at}.template: no prompt template "${d.template}"${d.templateVersion ? ` ${d.templateVersion}` : ""}`);
+  if (d.indexPath != null && typeof d.indexPath !== "string") errors.push(`${at}.indexPath: must be a path or null`);
+
+  if (d.schema != null) {
+    if (d.schema !== "health-safety") errors.push(`${at}.schema: unknown built-in "${d.schema}"`);
+    if (d.sections) errors.push(`${at}: give schema or sections, not both`);
+  } else if (!Array.isArray(d.sections) || !d.sections.length) {
+    errors.push(`${at}.sections: required when there is no built-in schema`);
+  } else {
+    const keys = new Set();
+    d.sections.forEach((s, i) => {
+      if (!s.key || !s.title) errors.push(`${at}.sections[${i}]: key and title are required`);
+      if (keys.has(s.key)) errors.push(`${at}.sections[${i}]: duplicate key "${s.key}"`);
+      if (!SECTION_TYPES.includes(s.type)) errors.push(`${at}.sections[${i}].type: one of ${SECTION_TYPES.join(", ")}`);
+      keys.add(s.key);
+    });
+  }
+  return errors;
+}
+
+// Adds what the report pipeline needs: the JSON schema, its parser and the
+// mapping onto numbered report sections.
+function createDomain(id, d) {
+  const pinned = getTemplate(d.template, d.templateVersion || null);
+  const base = {
+    id,
+    name: d.name,
+    title: d.title,
+    emailSubject: d.emailSubject,
+    // Looked up per report so reloadTemplates() takes effect; a template
+    // removed since start-up keeps its last loaded version.
+    template: () => getTemplate(d.template, d.templateVersion || null) || pinned,
+    indexPath: d.indexPath || null,
+    preload: Boolean(d.preload),
+    riddor: d.schema === "health-safety",
+  };
+
+  if (d.schema === "health-safety") {
+    return {
+      ...base,
+      schema: REPORT_SCHEMA,
+      parse: parseStructuredReport,
+      sections: (value, { riddor } = {}) => structuredSections(value, { riddor }),
+    };
+  }
+
+  const schema = sectionsSchema(d.sections);
+  const validate = (value) => {
+    const errors = validateSchema(value, schema);
+    return { valid: !errors.length, errors };
+  };
+  return {
+    ...base,
+    schema,
+    parse: (raw) => parseStructuredOutput(raw, validate),
+    sections: (value) => configuredSections(value, d.sections),
+  };
+}
+
+function loadConfig(file) {
+  const config = JSON.parse(fs.readFileSync(file, "utf8"));
+  const entries = Object.entries(config.domains || {});
+  const errors = entries.flatMap(([id, d]) => checkDomain(id, d));
+  if (!entries.length) errors.push("domains: at least one domain is required");
+  if (!config.domains?.[config.default]) errors.push(`default: "${config.default}" is not a configured domain`);
+  if (errors.length) throw new Error(`Invalid ${file}:\n${errors.join("\n")}`);
+
+  return {
+    defaultId: config.default,
+    domains: new Map(entries.map(([id, d]) => [id, createDomain(id, d)])),
+  };
+}
+
+const { defaultId, domains } = loadConfig(CONFIG_PATH);
+console.log(`🗂️ Domains: ${[...domains.keys()].join(", ")} (default ${defaultId})`);
+
+export const DEFAULT_DOMAIN = defaultId;
+
+// Null for an unknown id; the default domain when id is empty.
+export const getDomain = (id) => domains.get(id || defaultId) || null;
+
+/* ---------------------------------------------------------------------- */
+/*  INDEXES                                                               */
+/* ---------------------------------------------------------------------- */
+// Loaded on first use and shared by every request for that domain. A failed
+// load is not cached, so the next request tries again.
+const loading = new Map();
+const loaded = new Map();
+
+export function getDomainIndex(domain) {
+  if (!loading.has(domain.id)) {
+    const load = (async () => {
+      console.log(`📦 Loading ${domain.name} index…`);
+      const index = await loadIndex(undefined, domain.indexPath ? { indexPath: domain.indexPath } : {});
+      const bm25 = buildBm25(index);
+      console.log(`✅ ${domain.name}: ${index.length} chunks, BM25 ${bm25.postings.size} terms.`);
+      const entry = { index, bm25 };
+      loaded.set(domain.id, entry);
+      return entry;
+    })();
+    load.catch((err) => {
+      console.error(`❌ ${domain.name} index failed to load:`, err.message);
+      loading.delete(domain.id);
+    });
+    loading.set(domain.id, load);
+  }
+  return loading.get(domain.id);
+}
+
+// Starts loading the indexes of domains marked `preload`.
+export function preloadDomains() {
+  for (const d of domains.values()) if (d.preload) getDomainIndex(d).catch(() => {});
+}
+
+export const listDomains = () =>
+  [...domains.values()].map((d) => ({
+    id: d.id,
+    name: d.name,
+    title: d.title,
+    default: d.id === defaultId,
+    template: d.template().ref,
+    loaded: loaded.has(d.id),
+  }));
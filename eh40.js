@@ -0,0 +1,82 @@
+// eh40.js — local table of GB workplace exposure limits
+// ISO Timestamp: 🕒 2026-10-19T18:45:52Z
+// A subset of Table 1 of HSE EH40/2005 for substances common in the
+// workplaces we serve, used by the COSHH assessment (coshh.js). Limits are
+// { ppm, mgm3 } with null where EH40 gives no value; a null limit means no
+// limit of that kind. Notations: Sk (can be absorbed through the skin),
+// Sen (capable of causing occupational asthma), Carc (capable of causing
+// cancer and/or heritable genetic damage).
+//
+// Check values against the current edition before relying on them, and add
+// rows here as clients need them.
+
+export const EH40_EDITION = "HSE EH40/2005 Workplace exposure limits (4th edition, 2020)";
+
+const limit = (ppm, mgm3) => ({ ppm, mgm3 });
+
+export const WELS = [
+  { substance: "Acetone", cas: "67-64-1", aliases: ["propan-2-one"], ltel: limit(500, 1210), stel: limit(1500, 3620), notations: [] },
+  { substance: "Ammonia, anhydrous", cas: "7664-41-7", aliases: ["ammonia"], ltel: limit(25, 18), stel: limit(35, 25), notations: [] },
+  { substance: "Butan-2-one", cas: "78-93-3", aliases: ["methyl ethyl ketone", "mek"], ltel: limit(200, 600), stel: limit(300, 899), notations: ["Sk"] },
+  { substance: "Carbon dioxide", cas: "124-38-9", aliases: [], ltel: limit(5000, 9150), stel: limit(15000, 27400), notations: [] },
+  { substance: "Carbon monoxide", cas: "630-08-0", aliases: [], ltel: limit(20, 23), stel: limit(100, 117), notations: [] },
+  { substance: "Cement dust (inhalable)", cas: "65997-15-1", aliases: ["cement", "portland cement"], ltel: limit(null, 10), stel: null, notations: [] },
+  { substance: "Cement dust (respirable)", cas: "65997-15-1", aliases: ["cement", "portland cement"], ltel: limit(null, 4), stel: null, notations: [] },
+  { substance: "Chlorine", cas: "7782-50-5", aliases: [], ltel: null, stel: limit(0.5, 1.5), notations: [] },
+  { substance: "Dichloromethane", cas: "75-09-2", aliases: ["methylene chloride"], ltel: limit(100, 353), stel: limit(200, 706), notations: ["Sk"] },
+  { substance: "Ethanol", cas: "64-17-5", aliases: ["ethyl alcohol"], ltel: limit(1000, 1920), stel: null, notations: [] },
+  { substance: "Ethyl acetate", cas: "141-78-6", aliases: [], ltel: limit(200, 734), stel: limit(400, 1468), notations: [] },
+  { substance: "Flour dust", cas: null, aliases: ["flour"], ltel: limit(null, 10), stel: limit(null, 30), notations: ["Sen"] },
+  { substance: "Glutaraldehyde", cas: "111-30-8", aliases: ["glutaral"], ltel: limit(0.05, 0.2), stel: limit(0.05, 0.2), notations: ["Sen"] },
+  { substance: "Hardwood dust", cas: null, aliases: ["hardwood", "mdf dust"], ltel: limit(null, 3), stel: null, notations: ["Carc", "Sen"] },
+  { substance: "n-Hexane", cas: "110-54-3", aliases: ["hexane"], ltel: limit(20, 72), stel: null, notations: [] },
+  { substance: "Hydrogen chloride", cas: "7647-01-0", aliases: ["hydrochloric acid"], ltel: limit(1, 2), stel: limit(5, 8), notations: [] },
+  { substance: "Hydrogen sulphide", cas: "7783-06-4", aliases: ["hydrogen sulfide"], ltel: limit(5, 7), stel: limit(10, 14), notations: [] },
+  { substance: "Isocyanates, all (as -NCO)", cas: null, aliases: ["isocyanate", "isocyanates", "diisocyanate", "mdi", "tdi", "hdi"], ltel: limit(null, 0.02), stel: limit(null, 0.07), notations: ["Sen"] },
+  { substance: "Methanol", cas: "67-56-1", aliases: ["methyl alcohol"], ltel: limit(200, 266), stel: limit(250, 333), notations: ["Sk"] },
+  { substance: "Nitrogen dioxide", cas: "10102-44-0", aliases: [], ltel: limit(0.5, 0.96), stel: limit(1, 1.91), notations: [] },
+  { substance: "Nitrous oxide", cas: "10024-97-2", aliases: [], ltel: limit(100, 183), stel: null, notations: [] },
+  { substance: "Ozone", cas: "10028-15-6", aliases: [], ltel: null, stel: limit(0.2, 0.4), notations: [] },
+  { substance: "Propan-2-ol", cas: "67-63-0", aliases: ["isopropyl alcohol", "isopropanol", "ipa"], ltel: limit(400, 999), stel: limit(500, 1250), notations: [] },
+  { substance: "Silica, respirable crystalline", cas: "14808-60-7", aliases: ["respirable crystalline silica", "crystalline silica", "rcs", "quartz"], ltel: limit(null, 0.1), stel: null, notations: [] },
+  { substance: "Sodium hydroxide", cas: "1310-73-2", aliases: ["caustic soda"], ltel: null, stel: limit(null, 2), notations: [] },
+  { substance: "Softwood dust", cas: null, aliases: ["softwood"], ltel: limit(null, 5), stel: null, notations: ["Sen"] },
+  { substance: "Styrene", cas: "100-42-5", aliases: [], ltel: limit(100, 430), stel: limit(250, 1080), notations: [] },
+  { substance: "Sulphuric acid (mist)", cas: "7664-93-9", aliases: ["sulphuric acid", "sulfuric acid"], ltel: limit(null, 0.05), stel: null, notations: [] },
+  { substance: "Toluene", cas: "108-88-3", aliases: [], ltel: limit(50, 191), stel: limit(100, 384), notations: ["Sk"] },
+  { substance: "Xylene, o-, m-, p- or mixed isomers", cas: "1330-20-7", aliases: ["xylene", "xylenes"], ltel: limit(50, 220), stel: limit(100, 441), notations: ["Sk"] },
+];
+
+/* ---------------------------------------------------------------------- */
+/*  LOOKUP                                                                */
+/* ---------------------------------------------------------------------- */
+const normalise = (s) => String(s || "").toLowerCase().replace(/[^a-z0-9]+/g, " ").trim();
+
+// CAS numbers end in a check digit: the other digits, right to left,
+// weighted 1, 2, 3…, summed, mod 10.
+export function isCasNumber(value) {
+  const m = /^(\d{2,7})-(\d{2})-(\d)$/.exec(String(value).trim());
+  if (!m) return false;
+  const digits = (m[1] + m[2]).split("").reverse();
+  const sum = digits.reduce((acc, d, i) => acc + Number(d) * (i + 1), 0);
+  return sum % 10 === Number(m[3]);
+}
+
+export const extractCasNumbers = (text = "") =>
+  [...new Set(String(text).match(/\b\d{2,7}-\d{2}-\d\b/g) || [])].filter(isCasNumber);
+
+// Matches on any CAS number, or on the substance name or an alias appearing
+// as whole words in `substance`.
+export function findWels({ substance = "", cas = [] }) {
+  const name = ` ${normalise(substance)} `;
+  return WELS.filter(
+    (w) =>
+      (w.cas && cas.includes(w.cas)) ||
+      [w.substance, ...w.aliases].some((n) => name.includes(` ${normalise(n)} `))
+  );
+}
+
+export function formatLimit(l) {
+  if (!l) return "—";
+  return [l.ppm != null && `${l.ppm} ppm`, l.mgm3 != null && `${l.mgm3} mg/m³`].filter(Boolean).join(", ");
+}
@@ -0,0 +1,130 @@
+// email_report.js — HTML email renderer
+// ISO Timestamp: 🕒 2026-10-19T19:22:51Z
+// Renders the report model (report_model.js) as a self-contained HTML body.
+// Styles are inline because most mail clients drop <style> blocks.
+// renderReportEmail() wraps the report in the sender's branding (email.json
+// via email_settings.js): a header in the brand colour with its logo, the
+// recipient's cover note, and the brand footer.
+
+import { REPORT_TITLE } from "./report_model.js";
+
+const BLUE = "#4e65ac";
+const GREY = "#6b7280";
+const FONT = "font-family:Arial,Helvetica,sans-serif;";
+
+export const escapeHtml = (s = "") =>
+  String(s)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+
+function tableHtml({ caption, columns, rows }, colour) {
+  const total = columns.reduce((sum, c) => sum + (c.width || 1), 0);
+  const td = "border:1px solid #9ca3af;padding:4px;vertical-align:top;";
+  const cellHtml = (c) => escapeHtml(c.text).replace(/\n/g, "<br>");
+
+  return [
+    caption && `<h3 style="${FONT}color:${colour};font-size:15px;margin:14px 0 6px;">${escapeHtml(caption)}</h3>`,
+    `<table style="${FONT}font-size:11px;border-collapse:collapse;width:100%;margin:0 0 12px;">`,
+    `<tr>${columns
+      .map((c) => `<th style="${td}background:${colour};color:#ffffff;text-align:left;width:${Math.round((100 * (c.width || 1)) / total)}%;">${escapeHtml(c.title)}</th>`)
+      .join("")}</tr>`,
+    ...rows.map(
+      (r) => `<tr>${r.map((c) => `<td style="${td}${c.fill ? `background:#${c.fill};` : ""}">${cellHtml(c)}</td>`).join("")}</tr>`
+    ),
+    "</table>",
+  ]
+    .filter(Boolean)
+    .join("\n");
+}
+
+function blocksHtml(blocks, colour) {
+  return blocks
+    .map((b) => {
+      if (b.type === "subheading")
+        return `<h3 style="${FONT}color:${colour};font-size:15px;margin:14px 0 6px;">${escapeHtml(b.text)}</h3>`;
+      if (b.type === "bullets")
+        return `<ul style="${FONT}font-size:14px;margin:0 0 10px;padding-left:24px;">${b.items
+          .map((i) => `<li style="margin:0 0 4px;">${escapeHtml(i)}</li>`)
+          .join("")}</ul>`;
+      if (b.type === "table") return tableHtml(b, colour);
+      return `<p style="${FONT}font-size:14px;line-height:1.5;margin:0 0 10px;">${escapeHtml(b.text)}</p>`;
+    })
+    .join("\n");
+}
+
+// The report itself: title, meta lines, sections, sources and footer.
+function reportBodyHtml(model, colour) {
+  const { meta } = model;
+  const metaLines = [
+    meta.preparedFor && `Prepared for: ${meta.preparedFor}`,
+    meta.generated && `Generated: ${meta.generated}`,
+    meta.regNo && `Reg. No. ${meta.regNo}`,
+    meta.question && `Question: ${meta.question}`,
+  ].filter(Boolean);
+
+  const parts = [
+    `<h1 style="${FONT}color:${colour};font-size:22px;margin:0 0 8px;">${escapeHtml(model.title || REPORT_TITLE)}</h1>`,
+    ...metaLines.map((l) => `<div style="${FONT}color:${GREY};font-size:12px;">${escapeHtml(l)}</div>`),
+    `<hr style="border:0;border-top:1px solid ${colour};margin:12px 0 16px;">`,
+    blocksHtml(model.preamble, colour),
+    ...model.sections.map(
+      (s) =>
+        `<h2 style="${FONT}color:${colour};font-size:18px;margin:18px 0 8px;">${escapeHtml(`${s.number}. ${s.title}`)}</h2>\n` +
+        blocksHtml(s.blocks, colour)
+    ),
+  ];
+
+  if (model.references.length) {
+    parts.push(
+      `<h3 style="${FONT}color:${colour};font-size:15px;margin:18px 0 6px;">Sources</h3>`,
+      `<ol style="${FONT}font-size:12px;margin:0 0 10px;padding-left:0;list-style:none;">${model.references
+        .map((r) => `<li style="margin:0 0 3px;">[${r.ref}] ${escapeHtml(r.text)}</li>`)
+        .join("")}</ol>`
+    );
+  }
+
+  if (model.footer.length) {
+    parts.push(
+      `<div style="${FONT}color:${GREY};font-size:11px;margin-top:20px;border-top:1px solid #e5e7eb;padding-top:8px;">${model.footer
+        .map(escapeHtml)
+        .join("<br>")}</div>`
+    );
+  }
+  return parts.filter(Boolean).join("\n");
+}
+
+const htmlDocument = (body) => `<!DOCTYPE html>
+<html><body style="margin:0;padding:24px;background:#ffffff;color:#0a1f29;">
+<div style="max-width:720px;margin:0 auto;">
+${body}
+</div>
+</body></html>`;
+
+// brand: { name, colour, logoUrl, website, footer: [line] };
+// coverNote: [line], already filled in, shown above the report.
+export function renderReportEmail(model, { brand, coverNote = [] }) {
+  const colour = brand.colour || BLUE;
+  const logo = brand.logoUrl
+    ? `<img src="${escapeHtml(brand.logoUrl)}" alt="${escapeHtml(brand.name)}" height="40" style="display:block;height:40px;border:0;">`
+    : `<span style="${FONT}color:#ffffff;font-size:18px;font-weight:bold;">${escapeHtml(brand.name)}</span>`;
+  const website = brand.website
+    ? `<br><a href="${escapeHtml(brand.website)}" style="color:${colour};">${escapeHtml(brand.website)}</a>`
+    : "";
+
+  return htmlDocument(
+    [
+      `<div style="background:${colour};padding:12px 16px;margin:0 0 16px;">${logo}</div>`,
+      ...coverNote.map((l) => `<p style="${FONT}font-size:14px;line-height:1.5;margin:0 0 10px;">${escapeHtml(l)}</p>`),
+      coverNote.length && `<hr style="border:0;border-top:1px solid #e5e7eb;margin:16px 0;">`,
+      reportBodyHtml(model, colour),
+      `<div style="${FONT}color:${GREY};font-size:11px;margin-top:20px;border-top:3px solid ${colour};padding-top:8px;">${(brand.footer || [])
+        .map(escapeHtml)
+        .join("<br>")}${website}</div>`,
+    ]
+      .filter(Boolean)
+      .join("\n")
+  );
+}
@@ -0,0 +1,122 @@
+// email_settings.js — report email branding and recipient roles
+// ISO Timestamp: 🕒 2026-10-19T19:47:22Z
+// Who gets which message, and how it looks, defined in email.json (or
+// EMAIL_CONFIG):
+//
+//   brands: {
+//     "default" | "<brand key>": {
+//       name, colour: "#rrggbb", logoUrl?, website?, footer: [line]
+//     }
+//   }
+//   roles: {
+//     requester | manager | client: {
+//       delivery:    "to" | "cc" | "bcc" | "separate"
+//       attachments: [ "pdf" | "docx" ]
+//       coverNote:   [line]     {{title}}, {{regNo}}, {{question}},
+//                               {{organisation}}, {{date}}
+//     }
+//   }
+//
+// The brand is the one named by the authenticated organisation's `brand`
+// (organisations.js), else "default"; nothing in a request picks it. Roles
+// sent "to", "cc" or "bcc" share one message, which uses the cover note and
+// attachments of its first "to" role; a "separate" role gets its own
+// message with its own note and attachments, so it never sees the other
+// addresses. With no "to" role present, every role is sent separately. The
+// config is checked once at start-up and a bad file stops the server.
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { templateVariables } from "./prompt_templates.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const CONFIG_PATH = process.env.EMAIL_CONFIG || path.join(__dirname, "email.json");
+
+export const ROLES = ["requester", "manager", "client"];
+export const DELIVERY_MODES = ["to", "cc", "bcc", "separate"];
+export const ATTACHMENT_KINDS = ["pdf", "docx"];
+export const COVER_NOTE_VARIABLES = ["title", "regNo", "question", "organisation", "date"];
+
+/* ---------------------------------------------------------------------- */
+/*  CONFIG                                                                */
+/* ---------------------------------------------------------------------- */
+function checkConfig(config) {
+  const errors = [];
+  const brands = Object.entries(config.brands || {});
+  if (!config.brands?.default) errors.push('brands.default: required');
+  for (const [key, b] of brands) {
+    if (typeof b.name !== "string" || !b.name) errors.push(`brands.${key}.name: required`);
+    if (!/^#[0-9a-fA-F]{6}$/.test(b.colour || "")) errors.push(`brands.${key}.colour: must be "#rrggbb"`);
+    if (b.footer != null && !Array.isArray(b.footer)) errors.push(`brands.${key}.footer: must be a list of lines`);
+  }
+
+  for (const role of ROLES) {
+    const r = config.roles?.[role];
+    const at = `roles.${role}`;
+    if (!r) {
+      errors.push(`${at}: required`);
+      continue;
+    }
+    if (!DELIVERY_MODES.includes(r.delivery)) errors.push(`${at}.delivery: one of ${DELIVERY_MODES.join(", ")}`);
+    if (!Array.isArray(r.attachments) || r.attachments.some((a) => !ATTACHMENT_KINDS.includes(a)))
+      errors.push(`${at}.attachments: a list of ${ATTACHMENT_KINDS.join(", ")}`);
+    if (!Array.isArray(r.coverNote)) errors.push(`${at}.coverNote: must be a list of lines`);
+    else
+      for (const name of templateVariables(r.coverNote.join("\n")))
+        if (!COVER_NOTE_VARIABLES.includes(name)) errors.push(`${at}.coverNote: unknown variable {{${name}}}`);
+  }
+  return errors;
+}
+
+function loadConfig(file) {
+  const config = JSON.parse(fs.readFileSync(file, "utf8"));
+  const errors = checkConfig(config);
+  if (errors.length) throw new Error(`Invalid ${file}:\n${errors.join("\n")}`);
+  return config;
+}
+
+const config = loadConfig(CONFIG_PATH);
+const brands = new Map(Object.entries(config.brands).map(([key, b]) => [key.toLowerCase(), b]));
+console.log(
+  `✉️ Email roles: ${ROLES.map((r) => `${r} ${config.roles[r].delivery}`).join(", ")}; ${brands.size} brand(s)`
+);
+
+// Null when there is no brand under that key.
+export const getBrand = (key) => brands.get(String(key || "").toLowerCase()) || null;
+
+// `org` is an organisations.js entry, or null for the shared page.
+export const brandFor = (org) => (org?.brand && getBrand(org.brand)) || brands.get("default");
+
+/* ---------------------------------------------------------------------- */
+/*  MESSAGES                                                              */
+/* ---------------------------------------------------------------------- */
+// addresses: { requester, manager, client } → [ { roles, to, cc, bcc,
+// coverNote, attachments } ], one per message to send. An address already
+// used by an earlier role is not sent to again.
+export function planMessages(addresses) {
+  const seen = new Set();
+  const present = ROLES.filter((role) => {
+    const address = String(addresses[role] || "").trim().toLowerCase();
+    if (!address || seen.has(address)) return false;
+    seen.add(address);
+    return true;
+  });
+
+  const mode = (role) => config.roles[role].delivery;
+  const hasTo = present.some((role) => mode(role) === "to");
+  const shared = hasTo ? present.filter((role) => mode(role) !== "separate") : [];
+  const message = (roles, lead) => ({
+    roles,
+    to: roles.filter((r) => roles.length === 1 || mode(r) === "to").map((r) => addresses[r]),
+    cc: roles.length === 1 ? [] : roles.filter((r) => mode(r) === "cc").map((r) => addresses[r]),
+    bcc: roles.length === 1 ? [] : roles.filter((r) => mode(r) === "bcc").map((r) => addresses[r]),
+    coverNote: config.roles[lead].coverNote,
+    attachments: config.roles[lead].attachments,
+  });
+
+  return [
+    ...(shared.length ? [message(shared, shared.find((r) => mode(r) === "to"))] : []),
+    ...present.filter((role) => !shared.includes(role)).map((role) => message([role], role)),
+  ];
+}
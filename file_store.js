@@ -0,0 +1,27 @@
+// file_store.js — helpers shared by the file-based stores
+// ISO Timestamp: 🕒 2026-10-19T19:22:39Z
+// report_store.js, session_store.js, job_queue.js and usage.js keep their
+// data as plain files. Each writes whole files atomically and runs its
+// read-modify-write steps one at a time through its own queue.
+
+import fs from "fs";
+
+// Written to a temporary file and renamed over the target, so a reader
+// never sees a half-written file.
+export async function writeAtomic(file, data) {
+  const tmp = `${file}.tmp`;
+  await fs.promises.writeFile(tmp, data);
+  await fs.promises.rename(tmp, file);
+}
+
+// → exclusive(fn): runs fn after every earlier fn has settled and resolves
+// to its result. A failure is passed to its caller and does not stop the
+// queue.
+export function createQueue() {
+  let queue = Promise.resolve();
+  return function exclusive(fn) {
+    const run = queue.then(fn, fn);
+    queue = run.catch(() => {});
+    return run;
+  };
+}
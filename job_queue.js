@@ -0,0 +1,260 @@
+// job_queue.js — persistent background jobs (file based)
+// ISO Timestamp: 🕒 2026-10-19T19:23:48Z
+// Work that should not hold an HTTP request open (model calls, documents,
+// email) runs here. A job type is a list of steps run in order; each step
+// returns a patch merged into job.result, so a retried or replayed job
+// resumes at the step that failed instead of starting over.
+//
+//   <JOB_STORE_DIR>/<id>.json
+//   {
+//     id, type, status: "queued" | "running" | "done" | "dead",
+//     createdAt, updatedAt, nextRunAt,
+//     step,                      index of the next step to run
+//     attempts,                  attempts at that step so far
+//     payload,                   what the job was queued with
+//     result,                    merged step patches
+//     error: { step, message, at } | null,
+//     deadAt, replays
+//   }
+//
+// A step with `retry: true` (model and email steps) is retried with
+// exponential backoff, JOB_BACKOFF_MS doubling per attempt, up to
+// JOB_MAX_ATTEMPTS. A failure past that, or in a step without retry, moves
+// the job to the dead-letter list until replayJob(). Unfinished and dead
+// jobs are held in memory and written through, so the queue assumes a
+// single server process; jobs left "running" by a restart are queued again
+// at start-up. A finished job is only on disk, where it is kept for
+// JOB_RETENTION_DAYS.
+
+import fs from "fs";
+import path from "path";
+import { writeAtomic, createQueue } from "./file_store.js";
+import crypto from "crypto";
+
+const STORE_DIR = process.env.JOB_STORE_DIR || "/mnt/data/jobs";
+const ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+const MAX_ATTEMPTS = Number(process.env.JOB_MAX_ATTEMPTS) || 4;
+const BACKOFF_MS = Number(process.env.JOB_BACKOFF_MS) || 5000;
+const MAX_BACKOFF_MS = 10 * 60 * 1000;
+const POLL_MS = 1000;
+// Finished jobs are deleted once older than this, checked hourly; dead ones stay.
+const RETENTION_MS = (Number(process.env.JOB_RETENTION_DAYS) || 7) * 24 * 60 * 60 * 1000;
+const PRUNE_MS = 60 * 60 * 1000;
+
+/* ---------------------------------------------------------------------- */
+/*  STORAGE                                                               */
+/* ---------------------------------------------------------------------- */
+// Serialises writes so a job's file always holds its latest state.
+const exclusive = createQueue();
+
+const jobFile = (id) => path.join(STORE_DIR, `${id}.json`);
+
+function save(job) {
+  job.updatedAt = new Date().toISOString();
+  const data = JSON.stringify(job, null, 2);
+  return exclusive(async () => {
+    await fs.promises.mkdir(STORE_DIR, { recursive: true });
+    await writeAtomic(jobFile(job.id), data);
+  });
+}
+
+async function readJob(id) {
+  try {
+    return JSON.parse(await fs.promises.readFile(jobFile(id), "utf8"));
+  } catch (err) {
+    if (err.code === "ENOENT") return null;
+    throw err;
+  }
+}
+
+const jobFiles = () =>
+  fs.existsSync(STORE_DIR) ? fs.readdirSync(STORE_DIR).filter((f) => ID_PATTERN.test(path.basename(f, ".json"))) : [];
+
+// The unfinished and dead jobs; finished ones stay on disk.
+function loadJobs() {
+  const jobs = new Map();
+  for (const file of jobFiles()) {
+    try {
+      const job = JSON.parse(fs.readFileSync(path.join(STORE_DIR, file), "utf8"));
+      if (job.status === "done") continue;
+      if (job.status === "running") job.status = "queued";
+      jobs.set(job.id, job);
+    } catch (err) {
+      console.error(`❌ Skipping unreadable job ${file}:`, err.message);
+    }
+  }
+  return jobs;
+}
+
+const jobs = loadJobs();
+
+// Every job file not held in memory is a finished one, and its last write
+// was when it finished.
+async function pruneFinished() {
+  const cutoff = Date.now() - RETENTION_MS;
+  let pruned = 0;
+  for (const file of jobFiles()) {
+    if (jobs.has(path.basename(file, ".json"))) continue;
+    try {
+      const { mtimeMs } = await fs.promises.stat(path.join(STORE_DIR, file));
+      if (mtimeMs >= cutoff) continue;
+      await fs.promises.unlink(path.join(STORE_DIR, file));
+      pruned += 1;
+    } catch (err) {
+      if (err.code !== "ENOENT") console.error(`❌ Could not prune job ${file}:`, err.message);
+    }
+  }
+  if (pruned) console.log(`🧹 Pruned ${pruned} finished job(s)`);
+}
+const types = new Map();
+
+/* ---------------------------------------------------------------------- */
+/*  QUEUE                                                                 */
+/* ---------------------------------------------------------------------- */
+// steps: [ { name, retry?, run(payload, result, job) → patch } ]
+export function defineJobType(type, steps) {
+  types.set(type, steps);
+}
+
+export async function enqueue(type, payload) {
+  if (!types.has(type)) throw new Error(`Unknown job type "${type}"`);
+  const now = new Date().toISOString();
+  const job = {
+    id: crypto.randomUUID(),
+    type,
+    status: "queued",
+    createdAt: now,
+    updatedAt: now,
+    nextRunAt: now,
+    step: 0,
+    attempts: 0,
+    payload,
+    result: {},
+    error: null,
+    deadAt: null,
+    replays: 0,
+  };
+  jobs.set(job.id, job);
+  await save(job);
+  setImmediate(tick);
+  return job;
+}
+
+// Null when the ID is malformed or unknown.
+export async function getJob(id) {
+  if (!ID_PATTERN.test(String(id))) return null;
+  return jobs.get(id) || readJob(id);
+}
+
+// Newest first; `status` filters ("dead" is the dead-letter list). Finished
+// jobs are read from disk, so only list them ("done", or no status) when
+// needed.
+export async function listJobs({ status = null } = {}) {
+  const list = [...jobs.values()].filter((j) => !status || j.status === status);
+  if (!status || status === "done")
+    for (const file of jobFiles()) {
+      const id = path.basename(file, ".json");
+      if (jobs.has(id)) continue;
+      const job = await readJob(id).catch(() => null);
+      if (job?.status === "done") list.push(job);
+    }
+  return list.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+// Puts a dead job back on the queue at the step that failed, with a fresh
+// set of attempts. Null when the job is unknown or not dead.
+export async function replayJob(id) {
+  const job = jobs.get(id);
+  if (!job || job.status !== "dead") return null;
+  Object.assign(job, { status: "queued", attempts: 0, nextRunAt: new Date().toISOString(), replays: job.replays + 1 });
+  await save(job);
+  setImmediate(tick);
+  return job;
+}
+
+// The public view: progress and result without the queued payload.
+export function summariseJob(job) {
+  const steps = types.get(job.type) || [];
+  return {
+    id: job.id,
+    type: job.type,
+    status: job.status,
+    step: steps[job.step]?.name || null,
+    steps: steps.map((s, i) => ({ name: s.name, done: i < job.step })),
+    attempts: job.attempts,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt,
+    nextRunAt: job.status === "queued" ? job.nextRunAt : null,
+    error: job.error,
+    deadAt: job.deadAt,
+    replays: job.replays,
+    result: job.result,
+  };
+}
+
+/* ---------------------------------------------------------------------- */
+/*  WORKER                                                                */
+/* ---------------------------------------------------------------------- */
+const backoff = (attempts) => Math.min(BACKOFF_MS * 2 ** (attempts - 1), MAX_BACKOFF_MS);
+
+async function runJob(job) {
+  const steps = types.get(job.type);
+  while (job.step < steps.length) {
+    const step = steps[job.step];
+    job.status = "running";
+    job.attempts += 1;
+    await save(job);
+
+    try {
+      const patch = await step.run(job.payload, job.result, job);
+      Object.assign(job.result, patch);
+      Object.assign(job, { step: job.step + 1, attempts: 0, error: null });
+    } catch (err) {
+      const at = new Date().toISOString();
+      job.error = { step: step.name, message: err.message, at };
+      if (step.retry && job.attempts < MAX_ATTEMPTS) {
+        const delay = backoff(job.attempts);
+        console.warn(`⚠️ Job ${job.id} ${step.name} failed (attempt ${job.attempts}/${MAX_ATTEMPTS}), retrying in ${delay} ms:`, err.message);
+        Object.assign(job, { status: "queued", nextRunAt: new Date(Date.now() + delay).toISOString() });
+      } else {
+        console.error(`❌ Job ${job.id} ${step.name} failed, moved to dead letters:`, err.message);
+        Object.assign(job, { status: "dead", deadAt: at });
+      }
+      return save(job);
+    }
+  }
+
+  job.status = "done";
+  await save(job);
+  jobs.delete(job.id);
+  console.log(`✅ Job ${job.id} (${job.type}) done`);
+}
+
+// One job at a time, oldest due first.
+let busy = false;
+async function tick() {
+  if (busy) return;
+  busy = true;
+  try {
+    for (;;) {
+      const now = new Date().toISOString();
+      const due = [...jobs.values()]
+        .filter((j) => j.status === "queued" && j.nextRunAt <= now && types.has(j.type))
+        .sort((a, b) => a.nextRunAt.localeCompare(b.nextRunAt))[0];
+      if (!due) break;
+      await runJob(due).catch((err) => console.error(`❌ Job ${due.id} could not be saved:`, err.message));
+    }
+  } finally {
+    busy = false;
+  }
+}
+
+// Call once the job types are defined.
+export function startWorker() {
+  const count = (status) => [...jobs.values()].filter((j) => j.status === status).length;
+  console.log(`🧵 Job worker started (${count("queued")} queued, ${count("dead")} dead)`);
+  setInterval(tick, POLL_MS).unref();
+  setInterval(pruneFinished, PRUNE_MS).unref();
+  setImmediate(tick);
+  setImmediate(pruneFinished);
+}
@@ -0,0 +1,91 @@
+// keyword_index.js — BM25 keyword search + rank fusion
+// ISO Timestamp: 🕒 2026-10-19T18:25:56Z
+// Dense embeddings blur exact terms such as "RIDDOR", "COSHH", "LOLER" or
+// "Regulation 7". This inverted index is built in-process from the same
+// chunk texts as the vector index (same row numbers), and its ranking is
+// fused with the vector ranking by reciprocal rank fusion.
+
+import { tokenize, termsWithBigrams } from "./tokenize.js";
+import { createTopK } from "./vector_math.js";
+
+const K1 = 1.2;
+const B = 0.75;
+
+/* ---------------------------------------------------------------------- */
+/*  BUILD                                                                 */
+/* ---------------------------------------------------------------------- */
+// `index` is anything with `length` and `chunk(row)` (see loadIndex).
+export function buildBm25(index) {
+  const postings = new Map();
+  const docLen = new Float32Array(index.length);
+  let totalLen = 0;
+
+  for (let row = 0; row < index.length; row++) {
+    const terms = termsWithBigrams(tokenize(index.chunk(row).text || ""));
+    docLen[row] = terms.length;
+    totalLen += terms.length;
+
+    const tf = new Map();
+    for (const t of terms) tf.set(t, (tf.get(t) || 0) + 1);
+    for (const [t, n] of tf) {
+      let p = postings.get(t);
+      if (!p) postings.set(t, (p = { rows: [], tfs: [] }));
+      p.rows.push(row);
+      p.tfs.push(n);
+    }
+  }
+
+  // Freeze postings into typed arrays; they are never mutated after build.
+  for (const [t, p] of postings)
+    postings.set(t, { rows: Uint32Array.from(p.rows), tfs: Uint16Array.from(p.tfs, (n) => Math.min(n, 65535)) });
+
+  return {
+    count: index.length,
+    avgLen: index.length ? totalLen / index.length : 0,
+    docLen,
+    postings,
+  };
+}
+
+/* ---------------------------------------------------------------------- */
+/*  SEARCH                                                                */
+/* ---------------------------------------------------------------------- */
+export function searchBm25(bm25, query, k = 50) {
+  const { count, avgLen, docLen, postings } = bm25;
+  const scores = new Map();
+
+  for (const term of new Set(termsWithBigrams(tokenize(query)))) {
+    const p = postings.get(term);
+    if (!p) continue;
+    const idf = Math.log(1 + (count - p.rows.length + 0.5) / (p.rows.length + 0.5));
+    for (let i = 0; i < p.rows.length; i++) {
+      const row = p.rows[i];
+      const tf = p.tfs[i];
+      const s = idf * ((tf * (K1 + 1)) / (tf + K1 * (1 - B + (B * docLen[row]) / (avgLen || 1))));
+      scores.set(row, (scores.get(row) || 0) + s);
+    }
+  }
+
+  const top = createTopK(k);
+  for (const [row, s] of scores) top.push(row, s);
+  return top.results().map(({ id, score }) => ({ row: id, score }));
+}
+
+/* ---------------------------------------------------------------------- */
+/*  RECIPROCAL RANK FUSION                                                */
+/* ---------------------------------------------------------------------- */
+// lists: [{ name, weight, hits: [{ row, ... }] }], each best first.
+// fused = Σ weight / (k + rank); every fused hit keeps its per-list ranks.
+export function fuseRankings(lists, { k = 60 } = {}) {
+  const fused = new Map();
+  for (const { name, weight = 1, hits } of lists) {
+    if (!weight) continue;
+    hits.forEach((hit, rank) => {
+      let f = fused.get(hit.row);
+      if (!f) fused.set(hit.row, (f = { row: hit.row, score: 0, ranks: {} }));
+      f.score += weight / (k + rank + 1);
+      f.ranks[name] = rank + 1;
+    });
+  }
+  return [...fused.values()].sort((a, b) => b.score - a.score || a.row - b.row);
+}
@@ -0,0 +1,180 @@
+// mail_transport.js — email delivery transports
+// ISO Timestamp: 🕒 2026-10-19T19:04:01Z
+// server.js never talks to a mail service directly; it hands a message to
+// the transport chosen here. Selection is by env:
+//
+//   MAIL_TRANSPORT=mailjet|smtp|file|none
+//       default: mailjet when MJ_APIKEY_PUBLIC/PRIVATE are set, else none
+//   MAIL_FROM_EMAIL / MAIL_FROM_NAME       sender (Secure Maildrop)
+//   mailjet: MJ_APIKEY_PUBLIC, MJ_APIKEY_PRIVATE
+//   smtp:    SMTP_HOST, SMTP_PORT (587), SMTP_SECURE (true on 465),
+//            SMTP_USER, SMTP_PASS
+//   file:    MAIL_DROP_DIR (/tmp/mail-drop); each message is written as a
+//            .eml file for development and tests
+//
+// A message is { to: [address], cc?, bcc?, subject, text, html, attachments: [ {
+// filename, contentType, content: Buffer } ] }. send() resolves to
+// { messageId, accepted: [address], file? } and throws (err.transport,
+// err.details) when the service refuses the message.
+
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import fetch from "node-fetch";
+import nodemailer from "nodemailer";
+
+const FROM = {
+  email: process.env.MAIL_FROM_EMAIL || "noreply@securemaildrop.uk",
+  name: process.env.MAIL_FROM_NAME || "Secure Maildrop",
+};
+
+function mailError(transport, message, details = null) {
+  const err = new Error(`${transport}: ${message}`);
+  err.transport = transport;
+  err.details = details;
+  return err;
+}
+
+/* ---------------------------------------------------------------------- */
+/*  MAILJET (v3.1 Send API)                                               */
+/* ---------------------------------------------------------------------- */
+function mailjetTransport() {
+  const { MJ_APIKEY_PUBLIC, MJ_APIKEY_PRIVATE } = process.env;
+  if (!MJ_APIKEY_PUBLIC || !MJ_APIKEY_PRIVATE) throw new Error("MAIL_TRANSPORT=mailjet needs MJ_APIKEY_PUBLIC and MJ_APIKEY_PRIVATE");
+  const auth = Buffer.from(`${MJ_APIKEY_PUBLIC}:${MJ_APIKEY_PRIVATE}`).toString("base64");
+
+  return {
+    name: "mailjet",
+    async send({ to, cc = [], bcc = [], subject, text, html, attachments = [] }) {
+      const res = await fetch("https://api.mailjet.com/v3.1/send", {
+        method: "POST",
+        headers: { Authorization: `Basic ${auth}`, "Content-Type": "application/json" },
+        body: JSON.stringify({
+          Messages: [
+            {
+              From: { Email: FROM.email, Name: FROM.name },
+              To: to.map((Email) => ({ Email })),
+              ...(cc.length && { Cc: cc.map((Email) => ({ Email })) }),
+              ...(bcc.length && { Bcc: bcc.map((Email) => ({ Email })) }),
+              Subject: subject,
+              TextPart: text,
+              HTMLPart: html,
+              Attachments: attachments.map((a) => ({
+                ContentType: a.contentType,
+                Filename: a.filename,
+                Base64Content: a.content.toString("base64"),
+              })),
+            },
+          ],
+        }),
+      }).catch((err) => {
+        throw mailError("mailjet", err.message, { code: err.code || null });
+      });
+
+      // Errors come back per message, or as a top-level ErrorMessage when
+      // the request itself is rejected (bad keys, malformed payload).
+      const body = await res.json().catch(() => null);
+      const message = body?.Messages?.[0];
+      if (!res.ok || message?.Status !== "success") {
+        const errors = message?.Errors?.map((e) => e.ErrorMessage) || [body?.ErrorMessage || `HTTP ${res.status}`];
+        throw mailError("mailjet", errors.join("; "), { status: res.status, errors });
+      }
+      const delivered = [...(message.To || []), ...(message.Cc || []), ...(message.Bcc || [])];
+      return {
+        messageId: delivered.map((r) => r.MessageID).join(",") || null,
+        accepted: delivered.length ? delivered.map((r) => r.Email) : [...to, ...cc, ...bcc],
+      };
+    },
+  };
+}
+
+/* ---------------------------------------------------------------------- */
+/*  SMTP + FILE DROP (nodemailer)                                         */
+/* ---------------------------------------------------------------------- */
+const nodemailerMessage = ({ to, cc = [], bcc = [], subject, text, html, attachments = [] }) => ({
+  from: { address: FROM.email, name: FROM.name },
+  to,
+  cc,
+  bcc,
+  subject,
+  text,
+  html,
+  attachments: attachments.map((a) => ({ filename: a.filename, contentType: a.contentType, content: a.content })),
+});
+
+function smtpTransport() {
+  const { SMTP_HOST, SMTP_USER, SMTP_PASS } = process.env;
+  if (!SMTP_HOST) throw new Error("MAIL_TRANSPORT=smtp needs SMTP_HOST");
+  const port = Number(process.env.SMTP_PORT) || 587;
+  const transporter = nodemailer.createTransport({
+    host: SMTP_HOST,
+    port,
+    secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === "true" : port === 465,
+    auth: SMTP_USER ? { user: SMTP_USER, pass: SMTP_PASS } : undefined,
+  });
+
+  return {
+    name: `smtp:${SMTP_HOST}:${port}`,
+    async send(message) {
+      try {
+        const info = await transporter.sendMail(nodemailerMessage(message));
+        if (!info.accepted.length)
+          throw mailError("smtp", "no recipient accepted", { rejected: info.rejected, response: info.response });
+        return { messageId: info.messageId, accepted: info.accepted };
+      } catch (err) {
+        if (err.transport) throw err;
+        throw mailError("smtp", err.message, { code: err.code || null, response: err.response || null });
+      }
+    },
+  };
+}
+
+// Builds the same MIME message SMTP would send and writes it to disk.
+function fileTransport(dir = process.env.MAIL_DROP_DIR || "/tmp/mail-drop") {
+  const transporter = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: "unix" });
+
+  return {
+    name: `file:${dir}`,
+    async send(message) {
+      try {
+        const info = await transporter.sendMail(nodemailerMessage(message));
+        const file = path.join(dir, `${new Date().toISOString().replace(/[:.]/g, "-")}-${crypto.randomUUID()}.eml`);
+        await fs.promises.mkdir(dir, { recursive: true });
+        await fs.promises.writeFile(file, info.message);
+        return { messageId: info.messageId, accepted: [...message.to, ...(message.cc || []), ...(message.bcc || [])], file };
+      } catch (err) {
+        throw mailError("file", err.message, { code: err.code || null });
+      }
+    },
+  };
+}
+
+/* ---------------------------------------------------------------------- */
+/*  SELECTION                                                             */
+/* ---------------------------------------------------------------------- */
+const TRANSPORTS = { mailjet: mailjetTransport, smtp: smtpTransport, file: fileTransport };
+
+function selectedTransport() {
+  const explicit = process.env.MAIL_TRANSPORT;
+  if (explicit) return explicit;
+  return process.env.MJ_APIKEY_PUBLIC && process.env.MJ_APIKEY_PRIVATE ? "mailjet" : "none";
+}
+
+export function createMailTransport(name) {
+  if (name === "none") return null;
+  const factory = TRANSPORTS[name];
+  if (!factory) throw new Error(`Unknown MAIL_TRANSPORT "${name}" (mailjet, smtp, file or none)`);
+  return factory();
+}
+
+let transport;
+
+// Null when email is switched off (MAIL_TRANSPORT=none, or no Mailjet keys
+// and no other transport configured). A misconfigured transport throws.
+export function getMailTransport() {
+  if (transport === undefined) {
+    transport = createMailTransport(selectedTransport());
+    console.log("✉️ Mail transport:", transport?.name || "none (email off)");
+  }
+  return transport;
+}
@@ -0,0 +1,88 @@
+// organisations.js — tenant organisations and their settings
+// ISO Timestamp: 🕒 2026-10-19T19:24:36Z
+// An API key (api_keys.js) belongs to one organisation, and requests made
+// with it get that organisation's settings and see only its reports,
+// sessions and jobs. Defined in organisations.json (or ORGANISATIONS_CONFIG):
+//
+//   "<id>": {
+//     name:            used as {{organisation}} in prompts, footers and emails
+//     allowedDomains:  [host]   browser origins for this organisation's keys; a
+//                               key sent from a browser must come from one of them
+//     brand:           email.json brand key (email_settings.js)
+//     recipients:      { requester?, manager?, client? }   used when a request
+//                               leaves that address out
+//     domain:          default knowledge domain (domains.json id)
+//     domains?:        [id]     the domains it may use; all when omitted
+//     monthlyReports?: reports per calendar month (UTC); unlimited when omitted
+//     rateLimit?:      "<burst>/<perMinute>" for its API keys (rate_limit.js);
+//                               RATE_LIMIT_KEY when omitted
+//   }
+//
+// Deliberately free of server imports so the key CLI can load it; server.js
+// checks the brand and domain references at start-up.
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { parseLimit } from "./rate_limit.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const CONFIG_PATH = process.env.ORGANISATIONS_CONFIG || path.join(__dirname, "organisations.json");
+const ID_PATTERN = /^[a-z0-9-]+$/;
+const RECIPIENT_ROLES = ["requester", "manager", "client"];
+
+/* ---------------------------------------------------------------------- */
+/*  CONFIG                                                                */
+/* ---------------------------------------------------------------------- */
+function checkOrganisation(id, o) {
+  const errors = [];
+  const at = `organisations.${id}`;
+  if (!ID_PATTERN.test(id)) errors.push(`${at}: id must be lower-case letters, digits and "-"`);
+  if (typeof o.name !== "string" || !o.name) errors.push(`${at}.name: required`);
+  if (!Array.isArray(o.allowedDomains) || o.allowedDomains.some((d) => typeof d !== "string" || !d))
+    errors.push(`${at}.allowedDomains: must be a list of host names`);
+  if (o.brand != null && typeof o.brand !== "string") errors.push(`${at}.brand: must be an email.json brand key`);
+  for (const role of Object.keys(o.recipients || {}))
+    if (!RECIPIENT_ROLES.includes(role)) errors.push(`${at}.recipients.${role}: one of ${RECIPIENT_ROLES.join(", ")}`);
+  if (o.domain != null && typeof o.domain !== "string") errors.push(`${at}.domain: must be a domain id`);
+  if (o.domains != null && !Array.isArray(o.domains)) errors.push(`${at}.domains: must be a list of domain ids`);
+  if (o.domains && o.domain && !o.domains.includes(o.domain)) errors.push(`${at}.domain: not in its own domains list`);
+  if (o.monthlyReports != null && !(Number.isInteger(o.monthlyReports) && o.monthlyReports >= 0))
+    errors.push(`${at}.monthlyReports: must be a whole number`);
+  if (o.rateLimit != null && !parseLimit(o.rateLimit)) errors.push(`${at}.rateLimit: must be "<burst>/<perMinute>"`);
+  return errors;
+}
+
+function loadConfig(file) {
+  const config = JSON.parse(fs.readFileSync(file, "utf8"));
+  const entries = Object.entries(config.organisations || {});
+  const errors = entries.flatMap(([id, o]) => checkOrganisation(id, o));
+  if (errors.length) throw new Error(`Invalid ${file}:\n${errors.join("\n")}`);
+
+  return new Map(
+    entries.map(([id, o]) => [
+      id,
+      {
+        id,
+        name: o.name,
+        allowedDomains: o.allowedDomains,
+        brand: o.brand || null,
+        recipients: o.recipients || {},
+        domain: o.domain || null,
+        domains: o.domains || null,
+        monthlyReports: o.monthlyReports ?? null,
+        rateLimit: o.rateLimit ? parseLimit(o.rateLimit) : null,
+      },
+    ])
+  );
+}
+
+const organisations = loadConfig(CONFIG_PATH);
+
+export const getOrganisation = (id) => organisations.get(id) || null;
+export const listOrganisations = () => [...organisations.values()];
+
+// Exact host or any subdomain of it.
+export const hostMatches = (hostname, domains) => domains.some((d) => hostname === d || hostname.endsWith("." + d));
+
+export const allowsDomain = (org, domainId) => !org?.domains || org.domains.includes(domainId);
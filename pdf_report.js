@@ -0,0 +1,308 @@
+// pdf_report.js — PDF report layout
+// ISO Timestamp: 🕒 2026-10-19T19:22:24Z
+// Renders the report model (report_model.js) the same way as the Word
+// document: title block, blue numbered section headings and subheadings,
+// hanging-indent bullets, tables with shaded cells and width-aware word
+// wrapping from the font metrics. Running header, page numbers and the
+// integrity footer are drawn once the page count is known.
+//
+// Text is set in an embedded TrueType font (DejaVu Sans, subsetted) so
+// curly quotes, accented names, "°C", "≥" and "µg/m³" print as they do in
+// the DOCX. PDF_FONT_REGULAR / PDF_FONT_BOLD point at other .ttf files.
+
+import fs from "fs";
+import { createRequire } from "module";
+import { PDFDocument, rgb } from "pdf-lib";
+import fontkit from "@pdf-lib/fontkit";
+import { Buffer } from "buffer";
+import { REPORT_TITLE } from "./report_model.js";
+import { integrityKeywords } from "./signing.js";
+
+const PAGE = { width: 595.28, height: 841.89 };   // A4
+const MARGIN = { left: 56, right: 56, top: 72, bottom: 72 };
+const BLUE = rgb(0x4e / 255, 0x65 / 255, 0xac / 255);
+const GREY = rgb(0.42, 0.45, 0.5);
+const TEXT = rgb(0.04, 0.12, 0.16);
+
+// Matches the DOCX sizes (half-points there): body 11pt, headings 14pt.
+const STYLE = {
+  title: { size: 18, bold: true, color: BLUE, before: 0, after: 6 },
+  heading: { size: 14, bold: true, color: BLUE, before: 14, after: 6 },
+  subheading: { size: 12, bold: true, color: BLUE, before: 8, after: 4 },
+  paragraph: { size: 11, before: 0, after: 6 },
+  bullet: { size: 11, before: 0, after: 3, indent: 34, hanging: 18 },
+  meta: { size: 10, color: GREY, before: 0, after: 2 },
+  reference: { size: 9, before: 0, after: 3 },
+  footer: { size: 8.5, color: GREY, before: 0, after: 2 },
+};
+const LINE_HEIGHT = 1.3;
+const TABLE = { size: 7.5, lead: 9.5, pad: 3 };
+const WHITE = rgb(1, 1, 1);
+
+const hexColor = (hex) => {
+  const n = parseInt(String(hex).replace(/^#/, ""), 16);
+  return rgb(((n >> 16) & 255) / 255, ((n >> 8) & 255) / 255, (n & 255) / 255);
+};
+
+/* ---------------------------------------------------------------------- */
+/*  FONTS                                                                 */
+/* ---------------------------------------------------------------------- */
+const require = createRequire(import.meta.url);
+const FONT_FILES = {
+  body: process.env.PDF_FONT_REGULAR || require.resolve("dejavu-fonts-ttf/ttf/DejaVuSans.ttf"),
+  bold: process.env.PDF_FONT_BOLD || require.resolve("dejavu-fonts-ttf/ttf/DejaVuSans-Bold.ttf"),
+};
+
+// Read once; each PDF embeds its own subset.
+let fontBytes = null;
+function loadFontBytes() {
+  if (!fontBytes) {
+    fontBytes = {};
+    for (const [name, file] of Object.entries(FONT_FILES)) fontBytes[name] = fs.readFileSync(file);
+  }
+  return fontBytes;
+}
+
+async function embedFonts(pdfDoc) {
+  pdfDoc.registerFontkit(fontkit);
+  const bytes = loadFontBytes();
+  const fonts = {};
+  for (const name of Object.keys(bytes)) {
+    const font = await pdfDoc.embedFont(bytes[name], { subset: true });
+    fonts[name] = Object.assign(font, { charSet: new Set(font.getCharacterSet()) });
+  }
+  return fonts;
+}
+
+/* ---------------------------------------------------------------------- */
+/*  SANITISE                                                              */
+/* ---------------------------------------------------------------------- */
+// Keeps every character the font has a glyph for. Anything else becomes
+// its compatibility form when that is printable (e.g. "ﬁ" → "fi"),
+// otherwise a visible placeholder, so nothing disappears silently.
+export const PLACEHOLDER = "□";
+
+export function sanitizeForPdf(txt = "", font) {
+  const has = (ch) => !font || font.charSet.has(ch.codePointAt(0));
+  const placeholder = has(PLACEHOLDER) ? PLACEHOLDER : "?";
+  let out = "";
+
+  for (const ch of String(txt).normalize("NFC")) {
+    if (ch === "\t" || ch === "\n" || ch === "\r") out += " ";
+    else if (/[\p{Cc}\p{Cf}]/u.test(ch)) continue;   // control / zero-width
+    else if (has(ch)) out += ch;
+    else {
+      const compat = ch.normalize("NFKD").replace(/[\u0300-\u036f]/g, "");
+      out += compat && compat !== ch && [...compat].every(has) ? compat : placeholder;
+    }
+  }
+  return out;
+}
+
+/* ---------------------------------------------------------------------- */
+/*  WORD WRAP                                                             */
+/* ---------------------------------------------------------------------- */
+// Greedy fill using real glyph widths; words wider than the line (URLs,
+// hashes) are broken by character.
+export function wrapText(text, font, size, maxWidth) {
+  const widthOf = (s) => font.widthOfTextAtSize(s, size);
+  const lines = [];
+  let line = "";
+
+  for (const word of String(text).split(/\s+/).filter(Boolean)) {
+    const candidate = line ? `${line} ${word}` : word;
+    if (widthOf(candidate) <= maxWidth) {
+      line = candidate;
+      continue;
+    }
+    if (line) lines.push(line);
+
+    line = word;
+    while (widthOf(line) > maxWidth) {
+      let cut = line.length - 1;
+      while (cut > 1 && widthOf(line.slice(0, cut)) > maxWidth) cut--;
+      lines.push(line.slice(0, cut));
+      line = line.slice(cut);
+    }
+  }
+  if (line) lines.push(line);
+  return lines.length ? lines : [""];
+}
+
+/* ---------------------------------------------------------------------- */
+/*  BUILD                                                                 */
+/* ---------------------------------------------------------------------- */
+export async function buildPdf({ model, integrity }) {
+  const { meta } = model;
+  const pdfDoc = await PDFDocument.create();
+  pdfDoc.setTitle(model.title || REPORT_TITLE);
+  pdfDoc.setAuthor("AIVS Software Limited");
+  if (integrity) {
+    pdfDoc.setSubject(`AIVS ${model.title || REPORT_TITLE} ${integrity.regNo}`);
+    pdfDoc.setKeywords(integrityKeywords(integrity));
+  }
+
+  const fonts = await embedFonts(pdfDoc);
+  const contentWidth = PAGE.width - MARGIN.left - MARGIN.right;
+
+  let page = null;
+  let y = 0;
+  const newPage = () => {
+    page = pdfDoc.addPage([PAGE.width, PAGE.height]);
+    y = PAGE.height - MARGIN.top;
+  };
+
+  // Lays out one block; `keepWithNext` reserves room so a heading is never
+  // the last thing on a page.
+  const block = (text, style, { keepWithNext = 0, marker = null } = {}) => {
+    const font = style.bold ? fonts.bold : fonts.body;
+    const lead = style.size * LINE_HEIGHT;
+    const indent = style.indent || 0;
+    const lines = wrapText(sanitizeForPdf(text, font), font, style.size, contentWidth - indent);
+
+    y -= style.before;
+    if (y - lead * Math.min(lines.length + keepWithNext, 3) < MARGIN.bottom) newPage();
+
+    lines.forEach((line, i) => {
+      if (y - lead < MARGIN.bottom) newPage();
+      y -= lead;
+      if (i === 0 && marker)
+        page.drawText(marker, { x: MARGIN.left + indent - style.hanging, y, size: style.size, font, color: style.color || TEXT });
+      page.drawText(line, { x: MARGIN.left + indent, y, size: style.size, font, color: style.color || TEXT });
+    });
+    y -= style.after;
+  };
+
+  // Tables: proportional column widths and wrapped cells; rows never split,
+  // and the header row is repeated when a table continues on a new page.
+  const table = ({ caption, columns, rows }) => {
+    const { size, lead, pad } = TABLE;
+    const total = columns.reduce((sum, c) => sum + (c.width || 1), 0);
+    const widths = columns.map((c) => (contentWidth * (c.width || 1)) / total);
+
+    const layout = (cells, font) => ({
+      cells,
+      font,
+      lines: cells.map((c, i) =>
+        String(c.text).split("\n").flatMap((part) => wrapText(sanitizeForPdf(part, font), font, size, widths[i] - pad * 2))
+      ),
+    });
+    const heightOf = (row) => Math.max(...row.lines.map((l) => l.length)) * lead + pad * 2;
+
+    const drawRow = (row, header = false) => {
+      const h = heightOf(row);
+      let x = MARGIN.left;
+      row.cells.forEach((c, i) => {
+        const fill = header ? BLUE : c.fill ? hexColor(c.fill) : null;
+        page.drawRectangle({
+          x, y: y - h, width: widths[i], height: h,
+          ...(fill && { color: fill }),
+          borderColor: GREY, borderWidth: 0.5,
+        });
+        row.lines[i].forEach((line, j) =>
+          page.drawText(line, {
+            x: x + pad, y: y - pad - size - j * lead + 1, size, font: row.font, color: header ? WHITE : TEXT,
+          })
+        );
+        x += widths[i];
+      });
+      y -= h;
+    };
+
+    const header = layout(columns.map((c) => ({ text: c.title })), fonts.bold);
+    const body = rows.map((r) => layout(r, fonts.body));
+
+    if (caption) block(caption, STYLE.subheading, { keepWithNext: 3 });
+    y -= 2;
+    if (y - heightOf(header) - (body[0] ? heightOf(body[0]) : 0) < MARGIN.bottom) newPage();
+    drawRow(header, true);
+    for (const row of body) {
+      if (y - heightOf(row) < MARGIN.bottom) {
+        newPage();
+        drawRow(header, true);
+      }
+      drawRow(row);
+    }
+    y -= 8;
+  };
+
+  newPage();
+
+  /* TITLE BLOCK */
+  block(model.title || REPORT_TITLE, STYLE.title);
+  block(`Prepared for: ${meta.preparedFor || "N/A"}`, STYLE.meta);
+  block(`Generated: ${meta.generated}`, STYLE.meta);
+  const regNo = integrity?.regNo || meta.regNo;
+  if (regNo) block(`Reg. No. ${regNo}`, STYLE.meta);
+  if (meta.question) block(`Question: ${meta.question}`, STYLE.meta);
+  y -= 6;
+  page.drawLine({
+    start: { x: MARGIN.left, y },
+    end: { x: PAGE.width - MARGIN.right, y },
+    thickness: 1,
+    color: BLUE,
+  });
+  y -= 10;
+
+  /* BODY */
+  const blocks = (list) => {
+    for (const b of list) {
+      if (b.type === "subheading") block(b.text, STYLE.subheading, { keepWithNext: 2 });
+      else if (b.type === "bullets") b.items.forEach((item) => block(item, STYLE.bullet, { marker: "•" }));
+      else if (b.type === "table") table(b);
+      else block(b.text, STYLE.paragraph);
+    }
+  };
+
+  blocks(model.preamble);
+  for (const s of model.sections) {
+    block(`${s.number}. ${s.title}`, STYLE.heading, { keepWithNext: 2 });
+    blocks(s.blocks);
+  }
+
+  if (model.references.length) {
+    block("Sources", STYLE.subheading, { keepWithNext: 2 });
+    model.references.forEach((r) => block(`[${r.ref}] ${r.text}`, STYLE.reference));
+  }
+
+  if (model.footer.length) {
+    y -= 12;
+    model.footer.forEach((line) => block(line, STYLE.footer));
+  }
+
+  /* RUNNING HEADER + FOOTER */
+  const pages = pdfDoc.getPages();
+  pages.forEach((p, i) => {
+    const small = { size: 8, font: fonts.body, color: GREY };
+    const headerY = PAGE.height - 40;
+
+    p.drawText(`AIVS ${model.title || REPORT_TITLE}`, { x: MARGIN.left, y: headerY, ...small });
+    const right = regNo ? `Reg. No. ${regNo}` : meta.generated || "";
+    p.drawText(right, { x: PAGE.width - MARGIN.right - fonts.body.widthOfTextAtSize(right, 8), y: headerY, ...small });
+    p.drawLine({
+      start: { x: MARGIN.left, y: headerY - 5 },
+      end: { x: PAGE.width - MARGIN.right, y: headerY - 5 },
+      thickness: 0.5,
+      color: GREY,
+    });
+
+    const pageLabel = `Page ${i + 1} of ${pages.length}`;
+    p.drawText(pageLabel, {
+      x: PAGE.width - MARGIN.right - fonts.body.widthOfTextAtSize(pageLabel, 8),
+      y: 48,
+      ...small,
+    });
+
+    /* INTEGRITY FOOTER */
+    if (integrity) {
+      const tiny = { size: 6.5, font: fonts.body, color: GREY };
+      p.drawText(`SHA-256 ${integrity.hash}`, { x: MARGIN.left, y: 48, ...tiny });
+      p.drawText(
+        `Ed25519 signature ${integrity.signature.slice(0, 32)}… (key ${integrity.keyId}) · verify at /verify/pdf`,
+        { x: MARGIN.left, y: 39, ...tiny }
+      );
+    }
+  });
+
+  return Buffer.from(await pdfDoc.save());
+}
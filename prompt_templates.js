@@ -0,0 +1,139 @@
+// prompt_templates.js — versioned prompt and footer templates
+// ISO Timestamp: 🕒 2026-10-19T19:04:01Z
+// Prompt wording and report disclaimers live in text files, not in code:
+//
+//   <PROMPTS_DIR>/<template id>/v<N>.txt       e.g. prompts/health-safety/v2.txt
+//
+// A file is a few "# " description lines, then named parts:
+//
+//   === prompt ===        required; the model prompt
+//   === footer ===        required; report footer, one line per line
+//   === <name> ===        optional blocks the caller renders into the prompt
+//                         when they apply (e.g. "riddor", "follow-up")
+//
+// {{name}} is replaced by the variable of that name; a variable the caller
+// does not supply is an error, never silently blank. A new wording is a new
+// version file, so every report can record exactly which one produced it
+// ("health-safety@v2"). The newest version is used unless a domain pins one.
+// reloadTemplates() re-reads the directory without a restart.
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const PROMPTS_DIR = process.env.PROMPTS_DIR || path.join(__dirname, "prompts");
+const VERSION_FILE = /^v(\d+)\.txt$/;
+const PART_MARKER = /^=== ([a-z][a-z0-9-]*) ===$/;
+const VARIABLE = /\{\{\s*([a-zA-Z][a-zA-Z0-9]*)\s*\}\}/g;
+const REQUIRED_PARTS = ["prompt", "footer"];
+
+/* ---------------------------------------------------------------------- */
+/*  LOAD                                                                  */
+/* ---------------------------------------------------------------------- */
+function parseTemplate(id, version, source) {
+  const description = [];
+  const parts = {};
+  let current = null;
+
+  for (const line of source.replace(/\r\n/g, "\n").split("\n")) {
+    const marker = PART_MARKER.exec(line.trim());
+    if (marker) {
+      current = marker[1];
+      if (parts[current] != null) throw new Error(`${id}@${version}: part "${current}" appears twice`);
+      parts[current] = [];
+    } else if (current) parts[current].push(line);
+    else if (line.startsWith("#")) description.push(line.replace(/^#\s?/, ""));
+    else if (line.trim()) throw new Error(`${id}@${version}: text before the first "=== part ===" marker`);
+  }
+
+  for (const name of REQUIRED_PARTS)
+    if (parts[name] == null) throw new Error(`${id}@${version}: missing "=== ${name} ===" part`);
+
+  const texts = Object.fromEntries(Object.entries(parts).map(([name, lines]) => [name, lines.join("\n").trim()]));
+  return {
+    id,
+    version,
+    ref: `${id}@${version}`,
+    description: description.join(" ").trim(),
+    parts: texts,
+    variables: Object.fromEntries(Object.entries(texts).map(([name, text]) => [name, templateVariables(text)])),
+  };
+}
+
+function readTemplates(dir) {
+  const templates = new Map();
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    if (!entry.isDirectory()) continue;
+    const versions = fs
+      .readdirSync(path.join(dir, entry.name))
+      .map((f) => VERSION_FILE.exec(f))
+      .filter(Boolean)
+      .sort((a, b) => Number(a[1]) - Number(b[1]))
+      .map((m) => parseTemplate(entry.name, `v${m[1]}`, fs.readFileSync(path.join(dir, entry.name, m[0]), "utf8")));
+    if (versions.length) templates.set(entry.name, versions);
+  }
+  return templates;
+}
+
+let templates = readTemplates(PROMPTS_DIR);
+console.log(`📝 Prompt templates: ${[...templates].map(([id, v]) => `${id}@${v.at(-1).version}`).join(", ")}`);
+
+// Keeps the loaded set when the directory has an invalid file.
+export function reloadTemplates() {
+  templates = readTemplates(PROMPTS_DIR);
+  return listTemplates();
+}
+
+/* ---------------------------------------------------------------------- */
+/*  LOOKUP + RENDER                                                       */
+/* ---------------------------------------------------------------------- */
+// The newest version unless `version` ("v2") is given. Null when unknown.
+export function getTemplate(id, version = null) {
+  const versions = templates.get(id);
+  if (!versions) return null;
+  return version ? versions.find((t) => t.version === version) || null : versions.at(-1);
+}
+
+// "health-safety@v2" → that template, or null.
+export function getTemplateByRef(ref) {
+  const [id, version] = String(ref || "").split("@");
+  return version ? getTemplate(id, version) : null;
+}
+
+// The {{name}} variables `text` uses, in order of first use.
+export function templateVariables(text) {
+  return [...new Set([...text.matchAll(VARIABLE)].map((m) => m[1]))];
+}
+
+// Replaces each {{name}}; `where` identifies `text` in the error for a
+// variable without a value. Also used for email cover notes.
+export function fillVariables(text, variables, where) {
+  return text.replace(VARIABLE, (_, name) => {
+    if (variables[name] == null) throw new Error(`${where}: no value for {{${name}}}`);
+    return String(variables[name]);
+  });
+}
+
+export function renderTemplate(template, part, variables = {}) {
+  const text = template.parts[part];
+  if (text == null) throw new Error(`${template.ref}: no "${part}" part`);
+  return fillVariables(text, variables, `${template.ref} "${part}"`);
+}
+
+// An optional part as a prompt block: rendered and followed by a blank line
+// when the template has it and `applies`, otherwise "".
+export function renderBlock(template, part, variables, applies = true) {
+  if (!applies || template.parts[part] == null) return "";
+  return `${renderTemplate(template, part, variables)}\n\n`;
+}
+
+export const renderFooter = (template, variables) =>
+  renderTemplate(template, "footer", variables).split("\n").map((l) => l.trim()).filter(Boolean);
+
+export const listTemplates = () =>
+  [...templates].map(([id, versions]) => ({
+    id,
+    latest: versions.at(-1).version,
+    versions: versions.map((t) => ({ version: t.version, ref: t.ref, description: t.description, parts: Object.keys(t.parts) })),
+  }));
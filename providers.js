@@ -0,0 +1,345 @@
+// providers.js — embedding + chat providers
+// ISO Timestamp: 🕒 2026-10-19T19:21:21Z
+// vector_store.js, build_index.js and server.js never talk to OpenAI directly;
+// they ask for a provider here. Selection is by env:
+//
+//   AI_PROVIDER=openai|local          default for both
+//   EMBEDDING_PROVIDER=openai|local   overrides AI_PROVIDER for embeddings
+//   CHAT_PROVIDER=openai|local        overrides AI_PROVIDER for chat
+//   EMBEDDING_MODEL / CHAT_MODEL      OpenAI model names
+//
+// Chat providers expose complete() → full text and stream() → async
+// iterable of text deltas. Both accept responseFormat: { name, schema } to
+// ask for a single JSON object matching a JSON schema.
+//
+// The local providers are deterministic and need no network, so the whole
+// /ask flow can run in CI against an index built with `--embedder local`.
+//
+// Calls made inside meterTokens(usage, fn) add the tokens they use to
+// `usage`; the local providers estimate them from the text length.
+
+import crypto from "crypto";
+import { AsyncLocalStorage } from "async_hooks";
+import { OpenAI } from "openai";
+import { tokenize, termsWithBigrams } from "./tokenize.js";
+
+const DEFAULT_EMBEDDING_MODEL = "text-embedding-3-small";
+const DEFAULT_CHAT_MODEL = "gpt-4.1";
+const LOCAL_DIMENSIONS = 512;
+
+let openaiClient = null;
+
+// Created on first use so that local-only runs never need an API key.
+function openai() {
+  if (!openaiClient) {
+    openaiClient = new OpenAI({
+      apiKey: process.env.OPENAI_APIKEY || process.env.OPENAI_API_KEY,
+    });
+  }
+  return openaiClient;
+}
+
+/* ---------------------------------------------------------------------- */
+/*  TOKEN METERING                                                        */
+/* ---------------------------------------------------------------------- */
+const meters = new AsyncLocalStorage();
+
+// usage: { prompt, completion, embedding }, added to in place, so whatever
+// was spent before `fn` fails is still counted.
+export const meterTokens = (usage, fn) => meters.run(usage, fn);
+
+function countTokens(kind, n) {
+  const usage = meters.getStore();
+  if (usage) usage[kind] += n || 0;
+}
+
+const estimateTokens = (text) => Math.ceil(String(text || "").length / 4);
+
+/* ---------------------------------------------------------------------- */
+/*  OPENAI                                                                */
+/* ---------------------------------------------------------------------- */
+function openaiEmbeddings(model = process.env.EMBEDDING_MODEL || DEFAULT_EMBEDDING_MODEL) {
+  return {
+    name: `openai:${model}`,
+    async embed(texts) {
+      const res = await openai().embeddings.create({ model, input: texts });
+      countTokens("embedding", res.usage?.prompt_tokens);
+      return res.data.map((d) => d.embedding);
+    },
+  };
+}
+
+// Structured outputs in strict mode: the schema must list every key as
+// required and set additionalProperties: false.
+const jsonSchemaFormat = (responseFormat) =>
+  responseFormat && {
+    response_format: {
+      type: "json_schema",
+      json_schema: { name: responseFormat.name, schema: responseFormat.schema, strict: true },
+    },
+  };
+
+function openaiChat(defaultModel = process.env.CHAT_MODEL || DEFAULT_CHAT_MODEL) {
+  return {
+    name: `openai:${defaultModel}`,
+    async complete({ messages, model = defaultModel, temperature, responseFormat }) {
+      const completion = await openai().chat.completions.create({
+        model,
+        messages,
+        ...(temperature !== undefined && { temperature }),
+        ...jsonSchemaFormat(responseFormat),
+      });
+      countTokens("prompt", completion.usage?.prompt_tokens);
+      countTokens("completion", completion.usage?.completion_tokens);
+      return completion.choices[0].message.content || "";
+    },
+    async *stream({ messages, model = defaultModel, temperature, responseFormat }) {
+      const stream = await openai().chat.completions.create({
+        model,
+        messages,
+        stream: true,
+        stream_options: { include_usage: true },
+        ...(temperature !== undefined && { temperature }),
+        ...jsonSchemaFormat(responseFormat),
+      });
+      for await (const part of stream) {
+        // The last chunk carries the usage and no choices.
+        if (part.usage) {
+          countTokens("prompt", part.usage.prompt_tokens);
+          countTokens("completion", part.usage.completion_tokens);
+        }
+        const delta = part.choices[0]?.delta?.content;
+        if (delta) yield delta;
+      }
+    },
+  };
+}
+
+/* ---------------------------------------------------------------------- */
+/*  LOCAL EMBEDDINGS — hashed bag-of-words                                */
+/* ---------------------------------------------------------------------- */
+// Each token (and each adjacent pair) is hashed to a bucket and a sign; the
+// vector is L2-normalised so dot product == cosine, same as OpenAI vectors.
+function hashEmbed(text, dims) {
+  const v = new Array(dims).fill(0);
+  const features = termsWithBigrams(tokenize(text));
+
+  for (const f of features) {
+    const h = crypto.createHash("md5").update(f).digest();
+    const bucket = h.readUInt32LE(0) % dims;
+    v[bucket] += h[4] & 1 ? 1 : -1;
+  }
+
+  const norm = Math.sqrt(v.reduce((s, x) => s + x * x, 0)) || 1;
+  return v.map((x) => x / norm);
+}
+
+function localEmbeddings(dims = Number(process.env.LOCAL_EMBEDDING_DIMENSIONS) || LOCAL_DIMENSIONS) {
+  return {
+    name: `local:hashed-bow-${dims}`,
+    async embed(texts) {
+      for (const t of texts) countTokens("embedding", estimateTokens(t));
+      return texts.map((t) => hashEmbed(t, dims));
+    },
+  };
+}
+
+/* ---------------------------------------------------------------------- */
+/*  LOCAL CHAT — templated report writer                                  */
+/* ---------------------------------------------------------------------- */
+// Reads the prompt the way a model would: the numbered section list, the
+// quoted question and the numbered context passages. It then fills every
+// section with the passages that best overlap the section title + question.
+function parsePrompt(prompt) {
+  // The closing quote is the one that ends a line: the question itself may
+  // contain quotes, and a follow-up may span lines.
+  const question = prompt.match(/Question:\s*"([\s\S]*?)"[ \t]*$/m)?.[1]?.trim() || "";
+  const head = prompt.split(/^Question:/m)[0];
+  const sections = [...head.matchAll(/^\s*(\d+)\.\s+(.+)$/gm)].map((m) => m[2].trim());
+
+  const passages = [];
+  const contextAt = prompt.search(/^Context:/m);
+  if (contextAt >= 0) {
+    const context = prompt.slice(contextAt);
+    for (const m of context.matchAll(/^\[(\d+)\]([^\n]*)\n([\s\S]*?)(?=^\[\d+\]|(?![\s\S]))/gm)) {
+      // Drop heading-like lines (no closing punctuation) so sentences stay whole.
+      const text = m[3]
+        .split("\n")
+        .filter((l) => /[.!?:;]["')\]]*\s*$/.test(l.trim()) || l.trim().split(/\s+/).length > 8)
+        .join(" ");
+      passages.push({
+        ref: Number(m[1]),
+        source: m[2].split(" — ")[0].trim(),
+        text: text.replace(/\s+/g, " ").trim(),
+      });
+    }
+  }
+  return { question, sections, passages };
+}
+
+function firstSentence(text, max = 240) {
+  const s = text.split(/(?<=[a-z)][.!?])\s+/).find((x) => x.split(" ").length >= 3) || text;
+  return s.length > max ? s.slice(0, max).replace(/\s+\S*$/, "") + "…" : s.trim();
+}
+
+const NO_GUIDANCE = "No specific guidance was retrieved for this section; refer to the relevant HSE publications.";
+
+// Passages already cited in earlier sections rank lower, so the sections do
+// not all repeat the single best match.
+function createRanker(question, passages) {
+  const qTokens = new Set(tokenize(question));
+  const used = new Map();
+  return (title) => {
+    const want = new Set([...qTokens, ...tokenize(title)]);
+    const hits = passages
+      .filter((p) => p.text)
+      .map((p) => ({ p, hits: tokenize(p.text).filter((t) => want.has(t)).length }))
+      .filter((x) => x.hits > 0)
+      .sort((a, b) =>
+        (used.get(a.p.ref) || 0) - (used.get(b.p.ref) || 0) ||
+        b.hits - a.hits ||
+        a.p.ref - b.p.ref)
+      .slice(0, 2)
+      .map((x) => x.p);
+    for (const p of hits) used.set(p.ref, (used.get(p.ref) || 0) + 1);
+    return hits;
+  };
+}
+
+// JSON mode: walks the schema and fills each field from the passages that
+// best match its description. Booleans are false, nullable enums null and
+// numeric scales their midpoint — the local writer makes no judgements. An
+// array described as "one entry per numbered …" gets one item per numbered
+// line of the prompt, each focused on that line.
+function fillSchema(schema, ctx) {
+  const { question, rank, items = [], focus = "" } = ctx;
+  const types = [].concat(schema.type);
+  const about = `${focus} ${schema.description || ""}`;
+  const cite = (p) => `${firstSentence(p.text)} [${p.ref}]`;
+
+  const fromPassage = (s, key, p) => {
+    const t = [].concat(s.type);
+    if (t.includes("integer")) return p.ref;
+    if (t.includes("array")) return [cite(p)];
+    return key === "title" ? p.source || `Passage ${p.ref}` : firstSentence(p.text);
+  };
+
+  if (types.includes("object")) {
+    const out = {};
+    for (const [key, s] of Object.entries(schema.properties)) out[key] = fillSchema(s, ctx);
+    return out;
+  }
+  if (types.includes("array")) {
+    if (schema.items.type === "object" && /one entry per numbered/i.test(schema.description || "") && items.length) {
+      return items.map((line) => {
+        const [first, ...rest] = Object.keys(schema.items.properties);
+        const out = { [first]: line };
+        for (const key of rest) out[key] = fillSchema(schema.items.properties[key], { ...ctx, focus: line });
+        return out;
+      });
+    }
+    const hits = rank(about);
+    if (schema.items.type === "object") {
+      return hits.map((p) =>
+        Object.fromEntries(Object.entries(schema.items.properties).map(([k, s]) => [k, fromPassage(s, k, p)]))
+      );
+    }
+    if (hits.length) return hits.map(cite);
+    return focus ? [] : [NO_GUIDANCE];
+  }
+  if (types.includes("boolean")) return false;
+  if (types.includes("null")) return null;
+  if (types.includes("integer") && schema.enum) return schema.enum[Math.floor(schema.enum.length / 2)];
+  if (types.includes("string")) {
+    const [hit] = rank(about);
+    const intro = /context/i.test(schema.description || "")
+      ? `This report addresses the following question: ${question.replace(/[.?!]+$/, "") || "(none supplied)"}.`
+      : "";
+    return [intro, hit ? cite(hit) : intro ? "" : NO_GUIDANCE].filter(Boolean).join(" ");
+  }
+  return null;
+}
+
+function localChat() {
+  return {
+    name: "local:templated-report",
+    async complete(args) {
+      const text = this.render(args);
+      countTokens("prompt", estimateTokens(args.messages.map((m) => m.content).join("\n\n")));
+      countTokens("completion", estimateTokens(text));
+      return text;
+    },
+    render({ messages, responseFormat }) {
+      const prompt = messages.filter((m) => m.role !== "assistant").map((m) => m.content).join("\n\n");
+      const { question, sections, passages } = parsePrompt(prompt);
+      const rank = createRanker(question, passages);
+
+      if (responseFormat)
+        return JSON.stringify(fillSchema(responseFormat.schema, { question, rank, items: sections }), null, 2);
+
+      const titles = sections.length ? sections : ["Context", "Guidance"];
+      const out = titles.map((title, i) => {
+        const lines = [`${i + 1}. ${title}`];
+        if (i === 0) lines.push(`This report addresses the following question: ${question.replace(/[.?!]+$/, "") || "(none supplied)"}.`);
+        const hits = rank(title);
+        if (hits.length) {
+          for (const p of hits) lines.push(`- ${firstSentence(p.text)} [${p.ref}]`);
+        } else {
+          lines.push(NO_GUIDANCE);
+        }
+        return lines.join("\n");
+      });
+
+      return out.join("\n\n");
+    },
+    // Same text as complete(), yielded word by word like a streamed model.
+    async *stream(args) {
+      const text = await this.complete(args);
+      for (const piece of text.match(/\S+\s*|\s+/g) || []) yield piece;
+    },
+  };
+}
+
+/* ---------------------------------------------------------------------- */
+/*  SELECTION                                                             */
+/* ---------------------------------------------------------------------- */
+const EMBEDDERS = { openai: openaiEmbeddings, local: localEmbeddings };
+const CHATS = { openai: openaiChat, local: localChat };
+
+function pick(registry, name, kind) {
+  const factory = registry[String(name).toLowerCase()];
+  if (!factory)
+    throw new Error(`Unknown ${kind} provider "${name}" (expected ${Object.keys(registry).join(" | ")})`);
+  return factory();
+}
+
+export function createEmbeddingProvider(name) {
+  return pick(EMBEDDERS, name, "embedding");
+}
+
+export function createChatProvider(name) {
+  return pick(CHATS, name, "chat");
+}
+
+let embeddingProvider = null;
+let chatProvider = null;
+
+export function getEmbeddingProvider() {
+  if (!embeddingProvider) {
+    embeddingProvider = createEmbeddingProvider(
+      process.env.EMBEDDING_PROVIDER || process.env.AI_PROVIDER || "openai"
+    );
+    console.log("🧩 Embedding provider:", embeddingProvider.name);
+  }
+  return embeddingProvider;
+}
+
+export function getChatProvider() {
+  if (!chatProvider) {
+    chatProvider = createChatProvider(
+      process.env.CHAT_PROVIDER || process.env.AI_PROVIDER || "openai"
+    );
+    console.log("🧩 Chat provider:", chatProvider.name);
+  }
+  return chatProvider;
+}
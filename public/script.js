@@ -1,7 +1,7 @@
 // public/script.js — Health & Safety Assistant
-// ISO Timestamp: 🕒 2025-10-18T14:45:00Z
+// ISO Timestamp: 🕒 2026-10-19T19:04:01Z
 
-console.log("CLIENT JS VERSION = v2025-10-18T14:45:00Z (Health & Safety Assistant)");
+console.log("CLIENT JS VERSION = v2026-10-19T19:04:01Z (Health & Safety Assistant)");
 
 document.addEventListener("DOMContentLoaded", () => {
   const $ = (id) => document.getElementById(id);
@@ -21,11 +21,196 @@ document.addEventListener("DOMContentLoaded", () => {
     return;
   }
 
+  // --- Streaming progress (stage line above, document links below) ---
+  const stageLine = document.createElement("div");
+  stageLine.id = "streamStage";
+  output.parentNode.insertBefore(stageLine, output);
+
+  const documentLinks = document.createElement("div");
+  documentLinks.id = "documentLinks";
+  output.parentNode.insertBefore(documentLinks, output.nextSibling);
+
+  // --- Conversation session: the first question starts it, later ones are
+  // follow-ups that refine the same report. The thread is listed above the
+  // report; "Finalise documents" rebuilds and emails the latest version. ---
+  let sessionId = null;
+  const threadList = document.createElement("ol");
+  threadList.id = "thread";
+  output.parentNode.insertBefore(threadList, stageLine);
+
+  const finaliseBtn = document.createElement("button");
+  finaliseBtn.id = "finaliseBtn";
+  finaliseBtn.textContent = "Finalise documents and email";
+  finaliseBtn.style.display = "none";
+  documentLinks.parentNode.insertBefore(finaliseBtn, documentLinks.nextSibling);
+
+  const idleLabel = () => (sessionId ? "Ask follow-up question" : "Generate Health & Safety Report");
+
+  const addThreadTurn = (question) => threadList.appendChild(el("li", null, question));
+
+  const resetSession = () => {
+    sessionId = null;
+    threadList.replaceChildren();
+    finaliseBtn.style.display = "none";
+    clarificationInput.placeholder = "e.g. Explain risk assessment requirements for lone workers";
+    generateBtn.textContent = idleLabel();
+  };
+
+  const STAGE_LABELS = {
+    retrieval: "🔍 Searching the H&S knowledge base…",
+    writing: "✍️ Writing report…",
+    retry: "🔁 Report did not match the expected format — asking again…",
+    documents: "📄 Building PDF and Word documents…",
+    email: "📨 Sending email…",
+  };
+
+  const setStage = (text) => {
+    stageLine.textContent = text;
+  };
+
+  // The server's email result (`delivery`), appended to the stage line.
+  const deliveryNote = (d) => {
+    if (!d || d.status === "skipped") return "";
+    if (d.status === "queued") return ` 📨 Email queued for ${d.recipients.join(", ")}.`;
+    if (d.status === "sent") return ` 📧 Emailed to ${d.recipients.join(", ")}.`;
+    return d.status === "partial" ? ` ⚠️ Email partly sent: ${d.error}` : ` ⚠️ Email not sent: ${d.error}`;
+  };
+
+  const showDocumentLinks = (docs) => {
+    if (!docs) return;
+    documentLinks.innerHTML = "";
+    for (const [label, href] of [["Download PDF", docs.pdf], ["Download Word", docs.docx]]) {
+      if (!href) continue;
+      const a = document.createElement("a");
+      a.href = href;
+      a.textContent = label;
+      a.style.marginRight = "16px";
+      documentLinks.appendChild(a);
+    }
+  };
+
+  // --- Report renderer: builds the page from the server's report model
+  // (same structure as the PDF, Word and email versions). textContent only,
+  // so model text is never interpreted as HTML. ---
+  const el = (tag, className, text) => {
+    const node = document.createElement(tag);
+    if (className) node.className = className;
+    if (text != null) node.textContent = text;
+    return node;
+  };
+
+  const renderTable = ({ caption, columns, rows }) => {
+    const wrap = el("div", "report-table");
+    if (caption) wrap.appendChild(el("h4", "report-subheading", caption));
+    const table = el("table");
+    const head = el("tr");
+    columns.forEach((c) => head.appendChild(el("th", null, c.title)));
+    table.appendChild(head);
+    for (const r of rows) {
+      const tr = el("tr");
+      for (const c of r) {
+        const td = el("td", null, c.text);
+        if (c.fill) td.style.background = `#${c.fill}`;
+        tr.appendChild(td);
+      }
+      table.appendChild(tr);
+    }
+    wrap.appendChild(table);
+    return wrap;
+  };
+
+  const renderBlocks = (parent, blocks) => {
+    for (const b of blocks) {
+      if (b.type === "subheading") parent.appendChild(el("h4", "report-subheading", b.text));
+      else if (b.type === "table") parent.appendChild(renderTable(b));
+      else if (b.type === "bullets") {
+        const ul = el("ul", "report-bullets");
+        b.items.forEach((item) => ul.appendChild(el("li", null, item)));
+        parent.appendChild(ul);
+      } else parent.appendChild(el("p", "report-paragraph", b.text));
+    }
+  };
+
+  const renderReport = (model) => {
+    const root = el("div", "report-view");
+    root.appendChild(el("h2", "report-title", model.title));
+    const { regNo, generated } = model.meta || {};
+    if (generated || regNo)
+      root.appendChild(el("div", "report-meta", [generated && `Generated: ${generated}`, regNo && `Reg. No. ${regNo}`].filter(Boolean).join(" · ")));
+
+    renderBlocks(root, model.preamble);
+    for (const s of model.sections) {
+      root.appendChild(el("h3", "report-heading", `${s.number}. ${s.title}`));
+      renderBlocks(root, s.blocks);
+    }
+
+    if (model.references.length) {
+      root.appendChild(el("h4", "report-subheading", "Sources"));
+      const refs = el("ol", "report-references");
+      model.references.forEach((r) => refs.appendChild(el("li", null, `[${r.ref}] ${r.text}`)));
+      root.appendChild(refs);
+    }
+
+    if (model.footer.length) {
+      const footer = el("div", "report-footer");
+      model.footer.forEach((line) => footer.appendChild(el("div", null, line)));
+      root.appendChild(footer);
+    }
+
+    output.replaceChildren(root);
+  };
+
+  // The model streams a JSON object; while it arrives, show its completed
+  // string values (not the keys) one per line.
+  const previewStructured = (json) =>
+    [...json.matchAll(/"(?:[^"\\]|\\.)*"(\s*:)?/g)]
+      .filter((m) => !m[1])
+      .map((m) => {
+        try {
+          return JSON.parse(m[0]);
+        } catch {
+          return "";
+        }
+      })
+      .filter((s) => s && !/^[a-z0-9-]+$/.test(s))
+      .join("\n");
+
+  // Minimal SSE parser for a fetch() body (EventSource cannot POST).
+  async function readEventStream(res, onEvent) {
+    const reader = res.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = "";
+
+    for (;;) {
+      const { value, done } = await reader.read();
+      if (done) break;
+      buffer += decoder.decode(value, { stream: true });
+
+      let sep;
+      while ((sep = buffer.indexOf("\n\n")) >= 0) {
+        const block = buffer.slice(0, sep);
+        buffer = buffer.slice(sep + 2);
+
+        let event = "message";
+        let data = "";
+        for (const line of block.split("\n")) {
+          if (line.startsWith("event:")) event = line.slice(6).trim();
+          else if (line.startsWith("data:")) data += line.slice(5).trim();
+        }
+        try {
+          onEvent(event, JSON.parse(data || "null"));
+        } catch (err) {
+          console.warn("⚠️ Bad stream event:", block, err);
+        }
+      }
+    }
+  }
+
   generateBtn.addEventListener("click", async () => {
 
     // --- UI Preparing State (added) ---
     generateBtn.disabled = true;
-    generateBtn.textContent = "Preparing report…";
+    generateBtn.textContent = sessionId ? "Refining report…" : "Preparing report…";
     document.getElementById("clearResultsBtn").style.display = "none";
 
     const question = clarificationInput?.value?.trim() || "";
@@ -36,42 +221,61 @@ document.addEventListener("DOMContentLoaded", () => {
     if (!question) {
       output.textContent = "❌ Please enter a question or problem description.";
       generateBtn.disabled = false;
-      generateBtn.textContent = "Generate Health & Safety Report";
+      generateBtn.textContent = idleLabel();
       return;
     }
 
-    const payload = {
-      question,
-      email,
-      managerEmail,
-      clientEmail,
-      ts: new Date().toISOString(),
-    };
+    // Follow-ups are not emailed; the finalised documents are.
+    const payload = sessionId
+      ? { question, sessionId, ts: new Date().toISOString() }
+      : { question, email, managerEmail, clientEmail, ts: new Date().toISOString() };
 
-    console.log("📤 [CLIENT /ask] Sending payload", payload);
+    console.log("📤 [CLIENT /ask/stream] Sending payload", payload);
 
-    output.textContent =
-      "⏳ Semantic search then generating Health & Safety Report – please wait.";
+    output.textContent = "";
+    setStage("⏳ Semantic search then generating Health & Safety Report – please wait.");
+    documentLinks.innerHTML = "";
 
     try {
-      const res = await fetch("/ask", {
+      const res = await fetch("/ask/stream", {
         method: "POST",
         headers: { "Content-Type": "application/json" },
         body: JSON.stringify(payload),
       });
 
-      const data = await res.json().catch(() => ({}));
-
-      if (!res.ok) {
+      if (!res.ok || !res.body?.getReader) {
+        const data = await res.json().catch(() => ({}));
+        setStage("");
         output.textContent = `❌ Server error: ${data?.error || res.status}`;
         console.error("❌ Backend error:", data);
-      } else if (data?.answer) {
-        output.innerHTML = data.answer;
-      } else if (data?.reportText) {
-        output.innerHTML = data.reportText;
       } else {
-        output.innerHTML = "⚠️ No report returned. Please check backend logs.";
-        console.warn("⚠️ Unexpected response:", data);
+        let streamed = "";
+        await readEventStream(res, (event, data) => {
+          if (event === "stage") {
+            setStage(STAGE_LABELS[data.stage] || data.stage);
+          } else if (event === "sources") {
+            console.log(`📚 ${data.length} sources retrieved`, data);
+          } else if (event === "token") {
+            streamed += data.text;
+            output.textContent = previewStructured(streamed);
+          } else if (event === "done") {
+            setStage((sessionId ? "✅ Report refined." : "✅ Report complete.") + deliveryNote(data.delivery));
+            if (data.report) renderReport(data.report);
+            else output.textContent = data.answer;
+            showDocumentLinks(data.documents);
+            if (data.sessionId) {
+              sessionId = data.sessionId;
+              addThreadTurn(question);
+              clarificationInput.value = "";
+              clarificationInput.placeholder = "Follow-up, e.g. What if the worker is an agency temp?";
+              finaliseBtn.style.display = "block";
+            }
+          } else if (event === "error") {
+            setStage("");
+            output.textContent = `❌ Server error: ${data.error}`;
+            console.error("❌ Backend error:", data);
+          }
+        });
       }
 
       // Show clear button after rendering
@@ -79,13 +283,46 @@ document.addEventListener("DOMContentLoaded", () => {
 
     } catch (err) {
       console.error("❌ Network or fetch error:", err);
+      setStage("");
       output.textContent =
         "❌ Failed to contact backend: " + (err.message || String(err));
     }
 
     // --- Restore button after completion (added) ---
     generateBtn.disabled = false;
-    generateBtn.textContent = "Generate Health & Safety Report";
+    generateBtn.textContent = idleLabel();
+  });
+
+  // --- Final documents for the whole thread ---
+  finaliseBtn.addEventListener("click", async () => {
+    if (!sessionId) return;
+    finaliseBtn.disabled = true;
+    setStage(STAGE_LABELS.documents);
+
+    try {
+      const res = await fetch(`/sessions/${encodeURIComponent(sessionId)}/documents`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          email: emailInput?.value?.trim() || "",
+          managerEmail: managerInput?.value?.trim() || "",
+          clientEmail: clientInput?.value?.trim() || "",
+        }),
+      });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) {
+        setStage(`❌ Server error: ${data?.error || res.status}`);
+      } else {
+        setStage(`✅ Final documents ready (Reg. No. ${data.regNo}).${deliveryNote(data.delivery)}`);
+        renderReport(data.report);
+        showDocumentLinks(data.documents);
+      }
+    } catch (err) {
+      console.error("❌ Network or fetch error:", err);
+      setStage("❌ Failed to contact backend: " + (err.message || String(err)));
+    }
+
+    finaliseBtn.disabled = false;
   });
 
   // --- Clear Results Button Logic (added) ---
@@ -93,8 +330,11 @@ document.addEventListener("DOMContentLoaded", () => {
   if (clearBtn) {
     clearBtn.addEventListener("click", () => {
       output.textContent = "";
+      setStage("");
+      documentLinks.innerHTML = "";
       clarificationInput.value = "";
       clearBtn.style.display = "none";
+      resetSession();
     });
   }
 });
@@ -0,0 +1,57 @@
+// rate_limit.js — in-memory token buckets
+// ISO Timestamp: 🕒 2026-10-19T19:25:16Z
+// Each key (an API key ID, a client IP) has a bucket holding up to `burst`
+// tokens, refilled continuously at `perMinute`. A request takes one token;
+// an empty bucket answers with the seconds until the next token. Buckets
+// live in memory, so limits reset on restart and assume a single server
+// process, like the job queue.
+//
+// Limits are written "<burst>/<perMinute>", e.g. "10/6" (RATE_LIMIT_KEY,
+// RATE_LIMIT_IP and organisations.json rateLimit).
+
+const PRUNE_MS = 60 * 1000;
+
+// "10/6" → { burst: 10, perMinute: 6 }; null when malformed.
+export function parseLimit(text) {
+  const match = /^\s*(\d+)\s*\/\s*(\d+(?:\.\d+)?)\s*$/.exec(String(text || ""));
+  if (!match) return null;
+  const limit = { burst: Number(match[1]), perMinute: Number(match[2]) };
+  return limit.burst >= 1 && limit.perMinute > 0 ? limit : null;
+}
+
+export function createRateLimiter(name) {
+  const buckets = new Map();
+
+  // A bucket that has refilled completely is the same as no bucket.
+  const refilled = (b, now) => b.tokens + ((now - b.at) / 60000) * b.limit.perMinute >= b.limit.burst;
+  setInterval(() => {
+    const now = Date.now();
+    for (const [key, b] of buckets) if (refilled(b, now)) buckets.delete(key);
+  }, PRUNE_MS).unref();
+
+  return {
+    name,
+    // → { allowed, remaining, retryAfter } (retryAfter in whole seconds, 0
+    // when allowed). A changed limit for the key applies from now on.
+    take(key, limit) {
+      const now = Date.now();
+      const b = buckets.get(key) || { tokens: limit.burst, at: now, limit };
+      b.tokens = Math.min(limit.burst, b.tokens + ((now - b.at) / 60000) * limit.perMinute);
+      b.at = now;
+      b.limit = limit;
+      buckets.set(key, b);
+
+      if (b.tokens >= 1) {
+        b.tokens -= 1;
+        return { allowed: true, remaining: Math.floor(b.tokens), retryAfter: 0 };
+      }
+      return { allowed: false, remaining: 0, retryAfter: Math.ceil(((1 - b.tokens) / limit.perMinute) * 60) };
+    },
+
+    // Gives back a token taken for a request that turned out to cost nothing.
+    refund(key) {
+      const b = buckets.get(key);
+      if (b) b.tokens = Math.min(b.limit.burst, b.tokens + 1);
+    },
+  };
+}
@@ -0,0 +1,76 @@
+// report_model.js — structured report model shared by every renderer
+// ISO Timestamp: 🕒 2026-10-19T19:22:51Z
+// Every report is built once as a plain object, and the PDF, DOCX, HTML
+// email and browser all render that object, so they cannot disagree about
+// what is a heading or a bullet. The validated structured (JSON) answer is
+// mapped onto sections by report_schema.js; other report types
+// (risk_assessment.js, coshh.js) pass ready-made sections.
+//
+//   {
+//     title,
+//     meta:       { question, regNo, generated, preparedFor, template, organisation },
+//                 template: prompt template ref, e.g. "health-safety@v1";
+//                 organisation: who the report is for (picks the email brand)
+//     preamble:   [ block ],                       text before section 1
+//     sections:   [ { number, title, blocks: [ block ] } ],
+//     references: [ { ref, text } ],               retrieved passages cited as [n]
+//     footer:     [ line ],
+//   }
+//
+//   block = { type: "subheading" | "paragraph", text }
+//         | { type: "bullets", items: [text] }
+//         | { type: "table", caption, columns: [ { title, width } ], rows: [ [ { text, fill } ] ] }
+//           width is relative; fill is an optional hex colour ("92d050");
+//           cell text may contain "\n" line breaks.
+
+export const REPORT_TITLE = "Health & Safety Assistant Report";
+
+// `sections` come ready-made from the report type: domains.js maps a
+// structured answer onto them (report_schema.js), risk_assessment.js and
+// coshh.js build their own.
+export function createReportModel({ sections, preamble = [], title = REPORT_TITLE, references = [], footer = [], meta = {} }) {
+  return {
+    title,
+    meta: {
+      question: meta.question || null,
+      regNo: meta.regNo || null,
+      generated: meta.generated || null,
+      preparedFor: meta.preparedFor || null,
+      template: meta.template || null,
+      organisation: meta.organisation || null,
+    },
+    preamble,
+    sections,
+    references,
+    footer,
+  };
+}
+
+/* ---------------------------------------------------------------------- */
+/*  PLAIN TEXT                                                            */
+/* ---------------------------------------------------------------------- */
+// The canonical report text: what is hashed, signed, stored as `answer` and
+// sent as the email's text part.
+export function reportToText(model) {
+  const cellText = (c) => c.text.replace(/\n/g, " / ");
+  const blockText = (b) => {
+    if (b.type === "bullets") return b.items.map((i) => `- ${i}`).join("\n");
+    if (b.type === "table")
+      return [
+        b.caption,
+        b.columns.map((c) => c.title).join(" | "),
+        ...b.rows.map((r) => r.map(cellText).join(" | ")),
+      ].filter(Boolean).join("\n");
+    return b.text;
+  };
+
+  const parts = [];
+  if (model.preamble.length) parts.push(model.preamble.map(blockText).join("\n"));
+  for (const s of model.sections)
+    parts.push([`${s.number}. ${s.title}`, ...s.blocks.map(blockText)].join("\n"));
+  if (model.references.length)
+    parts.push(["Sources", ...model.references.map((r) => `[${r.ref}] ${r.text}`)].join("\n"));
+  if (model.footer.length) parts.push(model.footer.join("\n"));
+
+  return parts.join("\n\n");
+}
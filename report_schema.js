@@ -0,0 +1,202 @@
+// report_schema.js — JSON schema for structured report output
+// ISO Timestamp: 🕒 2026-10-19T18:51:21Z
+// The model answers with one JSON object instead of free text. The schema is
+// sent to the provider (OpenAI structured outputs, strict mode: every key
+// required, nullable values typed as [T, "null"]) and every response is
+// checked here before use; the caller retries once on invalid output.
+//
+// structuredSections() maps a valid object onto the seven numbered report
+// sections used by report_model.js, so every renderer stays unchanged.
+// A rules-based RIDDOR assessment (riddor.js), when supplied, is added to
+// section 5 and takes precedence over the model's own reportable flag.
+//
+// Other knowledge domains (domains.js) describe their sections in config;
+// sectionsSchema() and configuredSections() do the same job for them.
+
+import { riddorSummaryLines } from "./riddor.js";
+
+export const RIDDOR_CATEGORIES = [
+  "death",
+  "specified-injury",
+  "over-7-day-incapacitation",
+  "non-worker-hospital",
+  "occupational-disease",
+  "dangerous-occurrence",
+  "gas-incident",
+];
+
+// Builders for strict-mode schemas (also used by risk_assessment.js).
+export const text = (description) => ({ type: "string", description });
+export const list = (items, description) => ({ type: "array", items, description });
+export const object = (properties, description) => ({
+  type: "object",
+  description,
+  properties,
+  required: Object.keys(properties),
+  additionalProperties: false,
+});
+
+export const REPORT_SCHEMA = object({
+  context: text("Context: a short summary of the situation and the question asked"),
+  immediateActions: list(text("One immediate action"), "Immediate actions"),
+  evidence: list(text("One evidence or investigation step"), "Evidence and investigation"),
+  riskControls: list(
+    object({
+      hazard: text("Hazard or risk identified"),
+      controls: list(text("One control measure"), "Risk controls for this hazard"),
+    }),
+    "Risk assessment and controls"
+  ),
+  reporting: object(
+    {
+      summary: text("Documentation and reporting duties"),
+      riddorReportable: { type: "boolean", description: "Whether the event is reportable under RIDDOR 2013" },
+      riddorCategory: {
+        type: ["string", "null"],
+        enum: [...RIDDOR_CATEGORIES, null],
+        description: "RIDDOR category, null when not reportable",
+      },
+      records: list(text("One record or document to keep"), "Documentation and reporting records"),
+    },
+    "Documentation and reporting (including RIDDOR where relevant)"
+  ),
+  followUp: list(text("One follow-up or monitoring action"), "Follow-up actions and monitoring"),
+  references: list(
+    object({
+      title: text("Regulation, ACoP or HSE guidance reference"),
+      passage: { type: ["integer", "null"], description: "Context passage number [n] it relies on, or null" },
+    }),
+    "Key references and guidance"
+  ),
+});
+
+/* ---------------------------------------------------------------------- */
+/*  VALIDATION                                                            */
+/* ---------------------------------------------------------------------- */
+// Covers the keywords REPORT_SCHEMA uses: type (incl. arrays), properties,
+// required, additionalProperties: false, items and enum.
+const typeOf = (v) =>
+  v === null ? "null" : Array.isArray(v) ? "array" : Number.isInteger(v) ? "integer" : typeof v;
+
+function check(schema, value, at, errors) {
+  const types = [].concat(schema.type || []);
+  const actual = typeOf(value);
+  if (types.length && !types.includes(actual) && !(actual === "integer" && types.includes("number"))) {
+    errors.push(`${at}: expected ${types.join(" | ")}, got ${actual}`);
+    return;
+  }
+  if (schema.enum && !schema.enum.includes(value))
+    errors.push(`${at}: must be one of ${schema.enum.map(String).join(", ")}`);
+
+  if (actual === "object" && schema.properties) {
+    for (const key of schema.required || [])
+      if (!(key in value)) errors.push(`${at}.${key}: missing`);
+    for (const [key, v] of Object.entries(value)) {
+      if (schema.properties[key]) check(schema.properties[key], v, `${at}.${key}`, errors);
+      else if (schema.additionalProperties === false) errors.push(`${at}.${key}: unexpected property`);
+    }
+  }
+  if (actual === "array" && schema.items)
+    value.forEach((item, i) => check(schema.items, item, `${at}[${i}]`, errors));
+}
+
+export function validateSchema(value, schema) {
+  const errors = [];
+  check(schema, value, "$", errors);
+  return errors;
+}
+
+export function validateReport(value) {
+  const errors = validateSchema(value, REPORT_SCHEMA);
+  if (!errors.length && value.reporting.riddorReportable !== (value.reporting.riddorCategory !== null))
+    errors.push("$.reporting: riddorCategory must be set exactly when riddorReportable is true");
+  return { valid: !errors.length, errors };
+}
+
+// Parses raw model output and runs `validate` (→ { valid, errors }) on it.
+// Tolerates a ```json fence around the object, nothing else.
+export function parseStructuredOutput(raw = "", validate = validateReport) {
+  const body = String(raw).trim().replace(/^```(?:json)?\s*([\s\S]*?)\s*```$/, "$1");
+  let value;
+  try {
+    value = JSON.parse(body);
+  } catch (err) {
+    return { value: null, errors: [`Not valid JSON: ${err.message}`] };
+  }
+  const { valid, errors } = validate(value);
+  return { value: valid ? value : null, errors };
+}
+
+export const parseStructuredReport = (raw) => parseStructuredOutput(raw, validateReport);
+
+/* ---------------------------------------------------------------------- */
+/*  REPORT SECTIONS                                                       */
+/* ---------------------------------------------------------------------- */
+const bullets = (items) => (items.length ? [{ type: "bullets", items }] : []);
+
+export function structuredSections(s, { riddor = null } = {}) {
+  const { reporting } = s;
+  const riddorLine = reporting.riddorReportable
+    ? `RIDDOR reportable: Yes (${reporting.riddorCategory.replace(/-/g, " ")})`
+    : "RIDDOR reportable: No";
+
+  return [
+    { title: "Context", blocks: [{ type: "paragraph", text: s.context }] },
+    { title: "Immediate actions", blocks: bullets(s.immediateActions) },
+    { title: "Evidence and investigation", blocks: bullets(s.evidence) },
+    {
+      title: "Risk assessment and controls",
+      blocks: s.riskControls.flatMap((r) => [{ type: "paragraph", text: `Hazard: ${r.hazard}` }, ...bullets(r.controls)]),
+    },
+    {
+      title: "Documentation and reporting (including RIDDOR where relevant)",
+      blocks: [
+        { type: "paragraph", text: reporting.summary },
+        { type: "paragraph", text: riddorLine },
+        ...bullets(reporting.records),
+        ...(riddor
+          ? [{ type: "subheading", text: "RIDDOR Assessment" }, ...bullets(riddorSummaryLines(riddor))]
+          : []),
+      ],
+    },
+    { title: "Follow-up actions and monitoring", blocks: bullets(s.followUp) },
+    {
+      title: "Key references and guidance",
+      blocks: bullets(s.references.map((r) => (r.passage ? `${r.title} [${r.passage}]` : r.title))),
+    },
+  ].map((section, i) => ({ number: i + 1, ...section }));
+}
+
+/* ---------------------------------------------------------------------- */
+/*  CONFIGURED SECTIONS                                                   */
+/* ---------------------------------------------------------------------- */
+// sections: [{ key, title, type: "text" | "list" | "references", description? }]
+// One schema property per section, in order; "references" sections take the
+// same { title, passage } items as REPORT_SCHEMA.
+export const SECTION_TYPES = ["text", "list", "references"];
+
+export function sectionsSchema(sections) {
+  const property = ({ title, type, description = title }) => {
+    if (type === "list") return list(text(`One item: ${description}`), title);
+    if (type === "references")
+      return list(
+        object({
+          title: text(description),
+          passage: { type: ["integer", "null"], description: "Context passage number [n] it relies on, or null" },
+        }),
+        title
+      );
+    return text(description);
+  };
+  return object(Object.fromEntries(sections.map((s) => [s.key, property(s)])));
+}
+
+export function configuredSections(value, sections) {
+  const blocks = ({ key, type }) => {
+    if (type === "list") return bullets(value[key]);
+    if (type === "references")
+      return bullets(value[key].map((r) => (r.passage ? `${r.title} [${r.passage}]` : r.title)));
+    return [{ type: "paragraph", text: value[key] }];
+  };
+  return sections.map((s, i) => ({ number: i + 1, title: s.title, blocks: blocks(s) }));
+}
@@ -0,0 +1,217 @@
+// report_store.js — persistent report store (file based)
+// ISO Timestamp: 🕒 2026-10-19T19:22:39Z
+// Every generated report is kept so it can be re-downloaded if an email
+// goes missing. One folder per report plus an append-only listing:
+//
+//   <REPORT_STORE_DIR>/index.jsonl          one summary line per report
+//   <REPORT_STORE_DIR>/<id>/report.json     kind, org, question, answer, report model, structured JSON, template, emails, sources…
+//   <REPORT_STORE_DIR>/<id>/report.pdf
+//   <REPORT_STORE_DIR>/<id>/report.docx
+//   <REPORT_STORE_DIR>/sequence.json        daily registration-number counter
+//   <REPORT_STORE_DIR>/registrations.jsonl  issued reg. numbers → report + PDF hashes
+
+import fs from "fs";
+import path from "path";
+import { writeAtomic, createQueue } from "./file_store.js";
+import crypto from "crypto";
+
+const STORE_DIR = process.env.REPORT_STORE_DIR || "/mnt/data/reports";
+const LISTING = path.join(STORE_DIR, "index.jsonl");
+const SEQUENCE = path.join(STORE_DIR, "sequence.json");
+const REGISTRATIONS = path.join(STORE_DIR, "registrations.jsonl");
+const ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+export const REPORT_FILES = {
+  pdf: { name: "report.pdf", type: "application/pdf" },
+  docx: {
+    name: "report.docx",
+    type: "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+  },
+};
+
+export const isReportId = (id) => ID_PATTERN.test(String(id));
+
+/* ---------------------------------------------------------------------- */
+/*  HELPERS                                                               */
+/* ---------------------------------------------------------------------- */
+export const hashReport = (text) =>
+  crypto.createHash("sha256").update(String(text), "utf8").digest("hex");
+
+// Serialises read-modify-write steps on the store's small state files.
+const exclusive = createQueue();
+
+async function readJsonLines(file) {
+  try {
+    return (await fs.promises.readFile(file, "utf8"))
+      .split("\n")
+      .filter(Boolean)
+      .map((l) => JSON.parse(l));
+  } catch (err) {
+    if (err.code === "ENOENT") return [];
+    throw err;
+  }
+}
+
+const summarise = (r) => ({
+  id: r.id,
+  kind: r.kind,
+  org: r.org || null,
+  domain: r.domain || null,
+  template: r.template || null,
+  timestamp: r.timestamp,
+  regNo: r.regNo,
+  question: r.question.length > 160 ? `${r.question.slice(0, 157)}…` : r.question,
+});
+
+/* ---------------------------------------------------------------------- */
+/*  SAVE                                                                  */
+/* ---------------------------------------------------------------------- */
+// The binaries and report.json are written before the listing line, so a
+// report that appears in the listing is always complete.
+export async function saveReport({
+  kind = "report", org = null, domain = null, question, answer, report = null, structured = null, riddor = null, register = null, coshh = null,
+  sessionId = null, template = null, timestamp, emails = {}, regNo, sources = [], pdf, docx,
+}) {
+  const hash = hashReport(answer);
+  const pdfHash = pdf ? crypto.createHash("sha256").update(pdf).digest("hex") : null;
+  const id = crypto.randomUUID();
+  const dir = path.join(STORE_DIR, id);
+  await fs.promises.mkdir(dir, { recursive: true });
+
+  const record = {
+    id,
+    kind,
+    org,
+    domain,
+    timestamp,
+    question,
+    answer,
+    report,
+    structured,
+    riddor,
+    register,
+    coshh,
+    sessionId,
+    template,
+    regNo: regNo || null,
+    hash,
+    pdfHash,
+    emails: {
+      email: emails.email || null,
+      managerEmail: emails.managerEmail || null,
+      clientEmail: emails.clientEmail || null,
+    },
+    chunkIds: sources.map((s) => s.id),
+    sources,
+    files: {
+      pdf: pdf ? `/reports/${id}.pdf` : null,
+      docx: docx ? `/reports/${id}.docx` : null,
+    },
+  };
+
+  if (pdf) await writeAtomic(path.join(dir, REPORT_FILES.pdf.name), pdf);
+  if (docx) await writeAtomic(path.join(dir, REPORT_FILES.docx.name), docx);
+  await writeAtomic(path.join(dir, "report.json"), JSON.stringify(record, null, 2));
+  await fs.promises.appendFile(LISTING, JSON.stringify(summarise(record)) + "\n");
+  if (regNo) {
+    await fs.promises.appendFile(
+      REGISTRATIONS,
+      JSON.stringify({ regNo, reportId: id, hash, pdfHash, timestamp }) + "\n"
+    );
+  }
+
+  return record;
+}
+
+/* ---------------------------------------------------------------------- */
+/*  REGISTRATION NUMBERS                                                  */
+/* ---------------------------------------------------------------------- */
+// AIVS/UK/<yymmdd>-<daily sequence>/<passages used>. The sequence is kept on
+// disk and restarts at 0001 each UTC day, so numbers never repeat; every
+// issued number is recorded before it is returned.
+export function issueRegNo({ passages = 0, now = new Date() } = {}) {
+  return exclusive(async () => {
+    await fs.promises.mkdir(STORE_DIR, { recursive: true });
+    const day = now.toISOString().slice(2, 10).replace(/-/g, "");
+
+    let state = { day, seq: 0 };
+    try {
+      const saved = JSON.parse(await fs.promises.readFile(SEQUENCE, "utf8"));
+      if (saved.day === day) state = saved;
+    } catch (err) {
+      if (err.code !== "ENOENT") throw err;
+      // Counter file lost: carry on from the highest number issued today.
+      const prefix = `AIVS/UK/${day}-`;
+      for (const e of await readJsonLines(REGISTRATIONS)) {
+        if (e.regNo?.startsWith(prefix))
+          state.seq = Math.max(state.seq, parseInt(e.regNo.slice(prefix.length), 10) || 0);
+      }
+    }
+
+    state.seq += 1;
+    await writeAtomic(SEQUENCE, JSON.stringify(state));
+
+    const regNo = `AIVS/UK/${day}-${String(state.seq).padStart(4, "0")}/${passages}`;
+    await fs.promises.appendFile(
+      REGISTRATIONS,
+      JSON.stringify({ regNo, issuedAt: now.toISOString() }) + "\n"
+    );
+    return regNo;
+  });
+}
+
+// Null when the number was never issued here. Public (GET /verify), and
+// Reg. Nos. are sequential, so this never says which report a number
+// belongs to.
+export async function verifyRegNo(regNo) {
+  const entries = (await readJsonLines(REGISTRATIONS)).filter((e) => e.regNo === regNo);
+  if (!entries.length) return null;
+
+  const issued = entries.find((e) => e.issuedAt);
+  const saved = entries.find((e) => e.hash);
+  return {
+    regNo,
+    issuedAt: issued?.issuedAt || null,
+    hash: saved?.hash || null,
+    pdfHash: saved?.pdfHash || null,
+  };
+}
+
+/* ---------------------------------------------------------------------- */
+/*  READ                                                                  */
+/* ---------------------------------------------------------------------- */
+export async function getReport(id) {
+  if (!isReportId(id)) return null;
+  try {
+    return JSON.parse(await fs.promises.readFile(path.join(STORE_DIR, id, "report.json"), "utf8"));
+  } catch (err) {
+    if (err.code === "ENOENT") return null;
+    throw err;
+  }
+}
+
+export async function getReportFile(id, ext) {
+  const file = REPORT_FILES[ext];
+  if (!file || !isReportId(id)) return null;
+  try {
+    return await fs.promises.readFile(path.join(STORE_DIR, id, file.name));
+  } catch (err) {
+    if (err.code === "ENOENT") return null;
+    throw err;
+  }
+}
+
+// Newest first. page is 1-based. `org` limits the listing to one
+// organisation's reports (null: those made without one).
+export async function listReports({ page = 1, limit = 20, org } = {}) {
+  const all = await readJsonLines(LISTING);
+  const lines = org === undefined ? all : all.filter((l) => (l.org || null) === org);
+
+  const total = lines.length;
+  const start = total - page * limit;
+  const reports = lines
+    .slice(Math.max(0, start), Math.max(0, start + limit))
+    .reverse();
+
+  return { page, limit, total, pages: Math.ceil(total / limit), reports };
+}
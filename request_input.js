@@ -0,0 +1,12 @@
+// request_input.js — helpers for reading request bodies
+// ISO Timestamp: 🕒 2026-10-19T19:50:04Z
+// Shared by the form-style endpoints (/assess in risk_assessment.js, /coshh
+// in coshh.js), whose list fields come either as JSON arrays or as text
+// typed into a form.
+
+// An array, or a string split on `separator`; items trimmed, blanks dropped.
+// Anything else is an empty list.
+export const stringList = (v, separator = /\n|;/) =>
+  (Array.isArray(v) ? v : typeof v === "string" ? v.split(separator) : [])
+    .map((s) => String(s).trim())
+    .filter(Boolean);
@@ -0,0 +1,264 @@
+// riddor.js — RIDDOR 2013 reportability rules
+// ISO Timestamp: 🕒 2026-10-19T18:38:28Z
+// Decides from structured facts (not from prose) whether an incident must
+// be reported under the Reporting of Injuries, Diseases and Dangerous
+// Occurrences Regulations 2013, in which category, by whom and by when.
+// The result is served by POST /riddor and, when /ask is given an
+// `incident`, fixes section 5 of the report.
+//
+// Input:
+//   {
+//     incidentDate:          "YYYY-MM-DD" (required)
+//     personType:            "employee" | "self-employed" | "non-worker"
+//     workRelated:           default true; arose out of or in connection with work
+//     died:                  boolean
+//     specifiedInjury:       key of SPECIFIED_INJURIES
+//     incapacitationDays:    consecutive days unable to do normal work, not counting the day of the accident
+//     takenToHospital:       non-worker taken from the scene to hospital for treatment
+//     disease:               key of DISEASES
+//     diagnosisDate:         "YYYY-MM-DD", date of the written diagnosis
+//     dangerousOccurrence:   key of DANGEROUS_OCCURRENCES
+//   }
+//
+// Guidance only: it encodes the main RIDDOR duties (HSE INDG453) and does
+// not cover the sector-specific schedules (mines, quarries, offshore, rail).
+
+export const PERSON_TYPES = ["employee", "self-employed", "non-worker"];
+
+export const SPECIFIED_INJURIES = {
+  fracture: "A fracture, other than to fingers, thumbs and toes",
+  amputation: "Amputation of an arm, hand, finger, thumb, leg, foot or toe",
+  "sight-loss": "Any injury likely to lead to permanent loss of sight or reduction in sight",
+  "crush-injury": "Any crush injury to the head or torso causing damage to the brain or internal organs",
+  "serious-burn": "Serious burns covering more than 10% of the body or damaging the eyes, respiratory system or other vital organs",
+  scalping: "Any scalping requiring hospital treatment",
+  "loss-of-consciousness": "Any loss of consciousness caused by head injury or asphyxia",
+  "enclosed-space": "Any other injury from working in an enclosed space leading to hypothermia or heat-induced illness, or requiring resuscitation or admission to hospital for more than 24 hours",
+};
+
+export const DISEASES = {
+  "carpal-tunnel": { label: "Carpal tunnel syndrome (hand-held vibrating tools)", regulation: "reg. 8(a)" },
+  cramp: { label: "Cramp in the hand or forearm (prolonged repetitive movement)", regulation: "reg. 8(b)" },
+  dermatitis: { label: "Occupational dermatitis", regulation: "reg. 8(c)" },
+  havs: { label: "Hand-arm vibration syndrome", regulation: "reg. 8(d)" },
+  asthma: { label: "Occupational asthma", regulation: "reg. 8(e)" },
+  tendonitis: { label: "Tendonitis or tenosynovitis in the hand or forearm", regulation: "reg. 8(f)" },
+  cancer: { label: "Occupational cancer", regulation: "reg. 9" },
+  "biological-agent": { label: "Disease attributed to occupational exposure to a biological agent", regulation: "reg. 10" },
+};
+
+export const DANGEROUS_OCCURRENCES = {
+  "lifting-equipment": "Collapse, overturning or failure of load-bearing parts of lifts and lifting equipment",
+  "pressure-system": "Failure of any closed vessel or associated pipework forming part of a pressure system",
+  "overhead-lines": "Plant or equipment contacting overhead electric lines",
+  "electrical-fire": "Electrical short circuit or overload causing fire or explosion",
+  explosives: "Unintentional explosion or ignition of explosives",
+  "biological-release": "Accidental release of a biological agent likely to cause severe human illness",
+  radiation: "Malfunction of radiotherapy equipment or radiation generators",
+  "breathing-apparatus": "Malfunction of breathing apparatus while in use or during testing",
+  diving: "Specified incidents during diving operations",
+  scaffold: "Complete or partial collapse of scaffolding more than 5 metres high",
+  "structure-collapse": "Unintended collapse of a building or structure under construction, or falling of more than 5 tonnes of material",
+  "fire-explosion": "Unintentional explosion or fire causing suspension of normal work for more than 24 hours",
+  "hazardous-release": "Accidental release of a substance that could cause injury or damage to health",
+};
+
+const INDG453 = "HSE INDG453 — Reporting accidents and incidents at work";
+const HOW_TO_REPORT =
+  "Report online via the HSE RIDDOR forms (hse.gov.uk/riddor); fatal and specified injuries can also be telephoned to the Incident Contact Centre on 0345 300 9923.";
+
+/* ---------------------------------------------------------------------- */
+/*  DATES                                                                 */
+/* ---------------------------------------------------------------------- */
+const DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+function parseDate(value) {
+  const s = String(value || "").slice(0, 10);
+  if (!DATE.test(s)) return null;
+  const d = new Date(`${s}T00:00:00Z`);
+  return Number.isNaN(d.getTime()) || d.toISOString().slice(0, 10) !== s ? null : d;
+}
+
+const addDays = (d, n) => new Date(d.getTime() + n * 86400000).toISOString().slice(0, 10);
+
+function addYears(d, n) {
+  const out = new Date(d);
+  out.setUTCFullYear(out.getUTCFullYear() + n);
+  return out.toISOString().slice(0, 10);
+}
+
+/* ---------------------------------------------------------------------- */
+/*  VALIDATION                                                            */
+/* ---------------------------------------------------------------------- */
+export function validateIncident(input) {
+  const errors = [];
+  if (!input || typeof input !== "object" || Array.isArray(input)) return ["Incident must be an object"];
+
+  const oneOf = (field, allowed) => {
+    if (input[field] != null && !allowed.includes(input[field]))
+      errors.push(`${field} must be one of: ${allowed.join(", ")}`);
+  };
+
+  if (!parseDate(input.incidentDate)) errors.push("incidentDate must be a date (YYYY-MM-DD)");
+  if (input.diagnosisDate != null && !parseDate(input.diagnosisDate))
+    errors.push("diagnosisDate must be a date (YYYY-MM-DD)");
+  oneOf("personType", PERSON_TYPES);
+  oneOf("specifiedInjury", Object.keys(SPECIFIED_INJURIES));
+  oneOf("disease", Object.keys(DISEASES));
+  oneOf("dangerousOccurrence", Object.keys(DANGEROUS_OCCURRENCES));
+  if (input.incapacitationDays != null && !(Number.isInteger(input.incapacitationDays) && input.incapacitationDays >= 0))
+    errors.push("incapacitationDays must be a whole number of days, 0 or more");
+  for (const flag of ["workRelated", "died", "takenToHospital"])
+    if (input[flag] != null && typeof input[flag] !== "boolean") errors.push(`${flag} must be true or false`);
+
+  return errors;
+}
+
+/* ---------------------------------------------------------------------- */
+/*  RESPONSIBLE PERSON (reg. 3)                                           */
+/* ---------------------------------------------------------------------- */
+function responsiblePerson(category, personType) {
+  if (category === "dangerous-occurrence")
+    return "The person in control of the premises where the dangerous occurrence happened";
+  if (personType === "employee") return "The employer of the injured or ill person";
+  if (personType === "self-employed")
+    return category === "occupational-disease"
+      ? "The self-employed person (or someone acting for them)"
+      : "The person in control of the premises where the accident happened (the self-employed person if the premises are their own)";
+  return "The person in control of the premises where the accident happened";
+}
+
+/* ---------------------------------------------------------------------- */
+/*  ASSESS                                                                */
+/* ---------------------------------------------------------------------- */
+// Every category that applies is listed; `category` is the most serious one
+// and sets the deadline. Categories use the same codes as the structured
+// report's reporting.riddorCategory.
+export function assessRiddor(input) {
+  const errors = validateIncident(input);
+  if (errors.length) {
+    const err = new Error(`Invalid incident: ${errors.join("; ")}`);
+    err.details = errors;
+    throw err;
+  }
+
+  const incidentDate = parseDate(input.incidentDate);
+  const personType = input.personType || "employee";
+  const isWorker = personType !== "non-worker";
+  const workRelated = input.workRelated !== false;
+  const days = input.incapacitationDays ?? 0;
+
+  const found = [];
+  const add = (category, reason, regulations, deadline) => found.push({ category, reason, regulations, deadline });
+  const within = (n, from = incidentDate) => ({
+    notify: "Without delay",
+    reportBy: addDays(from, n),
+    days: n,
+    basis: `Report within ${n} days of the ${from === incidentDate ? "incident" : "diagnosis"}`,
+  });
+
+  if (workRelated) {
+    if (input.died)
+      add("death", "A person died as a result of a work-related accident", ["RIDDOR 2013 reg. 6"], within(10));
+
+    if (input.specifiedInjury && isWorker)
+      add(
+        "specified-injury",
+        `Specified injury to a worker: ${SPECIFIED_INJURIES[input.specifiedInjury]}`,
+        ["RIDDOR 2013 reg. 4(1)"],
+        within(10)
+      );
+
+    if (isWorker && days > 7)
+      add(
+        "over-7-day-incapacitation",
+        `Worker incapacitated for ${days} consecutive days (more than 7, not counting the day of the accident)`,
+        ["RIDDOR 2013 reg. 4(2)"],
+        { notify: "Not required by telephone", reportBy: addDays(incidentDate, 15), days: 15, basis: "Report within 15 days of the accident" }
+      );
+
+    if (!isWorker && input.takenToHospital)
+      add(
+        "non-worker-hospital",
+        "A member of the public or other non-worker was taken from the scene to hospital for treatment",
+        ["RIDDOR 2013 reg. 5"],
+        within(10)
+      );
+
+    if (input.disease && isWorker) {
+      const d = DISEASES[input.disease];
+      const diagnosed = parseDate(input.diagnosisDate);
+      // No fixed day count: the duty runs from the written diagnosis.
+      add(
+        "occupational-disease",
+        `${d.label}, diagnosed in writing by a doctor and linked to a work activity`,
+        [`RIDDOR 2013 ${d.regulation}`],
+        {
+          notify: "Without delay",
+          reportBy: null,
+          days: null,
+          basis: diagnosed
+            ? `Report without delay after the written diagnosis of ${input.diagnosisDate.slice(0, 10)}`
+            : "Report without delay once a written diagnosis is received",
+        }
+      );
+    }
+  }
+
+  // Reportable whether or not anyone was hurt.
+  if (input.dangerousOccurrence)
+    add(
+      "dangerous-occurrence",
+      `Dangerous occurrence: ${DANGEROUS_OCCURRENCES[input.dangerousOccurrence]}`,
+      ["RIDDOR 2013 reg. 7", "RIDDOR 2013 Schedule 2"],
+      within(10)
+    );
+
+  const notes = [];
+  if (!workRelated) notes.push("Not reportable: the incident did not arise out of or in connection with work.");
+  if (input.specifiedInjury && !isWorker && !input.takenToHospital)
+    notes.push("Injuries to non-workers are reportable only if they are taken from the scene to hospital for treatment.");
+  if (input.disease && !isWorker) notes.push("Occupational diseases are reportable for workers only.");
+
+  const recordOnly = workRelated && isWorker && !found.length && days > 3;
+  if (recordOnly) notes.push("Over-3-day incapacitation: record in the accident book, but no report to HSE is needed.");
+
+  const primary = found[0] || null;
+  const regulations = [...new Set(found.flatMap((f) => f.regulations))];
+
+  return {
+    reportable: Boolean(primary),
+    category: primary?.category || null,
+    categories: found.map(({ category, reason }) => ({ category, reason })),
+    responsiblePerson: primary ? responsiblePerson(primary.category, personType) : null,
+    deadline: primary?.deadline || null,
+    howToReport: primary ? HOW_TO_REPORT : null,
+    recordKeeping: {
+      required: Boolean(primary) || recordOnly,
+      regulation: "RIDDOR 2013 reg. 12",
+      retainUntil: primary || recordOnly ? addYears(incidentDate, 3) : null,
+    },
+    regulations: primary ? [...regulations, "RIDDOR 2013 reg. 3", INDG453] : [],
+    notes,
+  };
+}
+
+/* ---------------------------------------------------------------------- */
+/*  REPORT TEXT                                                           */
+/* ---------------------------------------------------------------------- */
+// Lines for section 5 of the report.
+export function riddorSummaryLines(result) {
+  if (!result.reportable)
+    return ["Not reportable under RIDDOR on the facts supplied.", ...result.notes];
+
+  const d = result.deadline;
+  return [
+    ...result.categories.map((c) => c.reason),
+    `Responsible person: ${result.responsiblePerson}`,
+    `Deadline: ${d.notify}; ${d.basis.charAt(0).toLowerCase()}${d.basis.slice(1)}${d.reportBy ? ` (by ${d.reportBy})` : ""}`,
+    result.howToReport,
+    `Keep a record until at least ${result.recordKeeping.retainUntil} (${result.recordKeeping.regulation})`,
+    `Regulations: ${result.regulations.join("; ")}`,
+    ...result.notes,
+  ];
+}
@@ -0,0 +1,188 @@
+// risk_assessment.js — guided risk assessment (5×5 matrix)
+// ISO Timestamp: 🕒 2026-10-19T19:50:04Z
+// POST /assess takes an activity, its hazards, the people at risk and the
+// existing controls. The model rates each hazard (likelihood and severity,
+// 1–5, before and after further action) and recommends further action from
+// the retrieved guidance; scores and bands are always computed here, never
+// taken from the model. The register and the two matrices are table blocks
+// in the report model, so every renderer draws them the same way.
+
+import { text, list, object, validateSchema } from "./report_schema.js";
+import { stringList } from "./request_input.js";
+
+export const LIKELIHOOD = ["Rare", "Unlikely", "Possible", "Likely", "Almost certain"];
+export const SEVERITY = ["Negligible", "Minor", "Moderate", "Major", "Catastrophic"];
+
+// Score = likelihood × severity. Fills are hex without "#" (DOCX style).
+export const RISK_BANDS = [
+  { max: 4, label: "Low", fill: "92d050" },
+  { max: 9, label: "Medium", fill: "ffe699" },
+  { max: 15, label: "High", fill: "f4b183" },
+  { max: 25, label: "Very high", fill: "ff7c80" },
+];
+
+const MAX_HAZARDS = 30;
+const rating = { type: "integer", enum: [1, 2, 3, 4, 5] };
+
+export const ASSESSMENT_SCHEMA = object({
+  summary: text("Summary of the activity and its overall risk"),
+  hazards: list(
+    object({
+      hazard: text("The hazard exactly as listed"),
+      harm: text("How people could be harmed"),
+      peopleAtRisk: list(text("One person or group at risk"), "People at risk from this hazard"),
+      existingControls: list(text("One existing control that applies"), "Existing controls for this hazard"),
+      likelihood: { ...rating, description: "Likelihood with existing controls, 1 rare to 5 almost certain" },
+      severity: { ...rating, description: "Severity with existing controls, 1 negligible to 5 catastrophic" },
+      furtherActions: list(text("One further action, citing passages as [n]"), "Further action needed"),
+      residualLikelihood: { ...rating, description: "Likelihood once further actions are in place" },
+      residualSeverity: { ...rating, description: "Severity once further actions are in place" },
+    }),
+    "One entry per numbered hazard, in the same order"
+  ),
+  review: text("When and how the assessment should be reviewed"),
+  references: list(
+    object({
+      title: text("Regulation, ACoP or HSE guidance reference"),
+      passage: { type: ["integer", "null"], description: "Context passage number [n] it relies on, or null" },
+    }),
+    "Key references and guidance"
+  ),
+});
+
+/* ---------------------------------------------------------------------- */
+/*  INPUT                                                                 */
+/* ---------------------------------------------------------------------- */
+// Lists may be arrays or newline / ";" separated strings.
+export function normaliseAssessmentInput(body = {}) {
+  return {
+    activity: String(body.activity || "").trim(),
+    location: String(body.location || "").trim() || null,
+    hazards: stringList(body.hazards),
+    peopleAtRisk: stringList(body.peopleAtRisk),
+    existingControls: stringList(body.existingControls),
+  };
+}
+
+export function validateAssessmentInput(input) {
+  const errors = [];
+  if (!input.activity) errors.push("activity is required");
+  if (!input.hazards.length) errors.push("hazards must list at least one hazard");
+  if (input.hazards.length > MAX_HAZARDS) errors.push(`hazards may list at most ${MAX_HAZARDS} hazards`);
+  if (!input.peopleAtRisk.length) errors.push("peopleAtRisk must list at least one person or group");
+  return errors;
+}
+
+// Model output must cover every input hazard, in order.
+export function validateAssessment(value, input) {
+  const errors = validateSchema(value, ASSESSMENT_SCHEMA);
+  if (!errors.length && value.hazards.length !== input.hazards.length)
+    errors.push(`$.hazards: expected ${input.hazards.length} entries (one per listed hazard), got ${value.hazards.length}`);
+  return { valid: !errors.length, errors };
+}
+
+/* ---------------------------------------------------------------------- */
+/*  SCORING                                                               */
+/* ---------------------------------------------------------------------- */
+export const riskBand = (score) => RISK_BANDS.find((b) => score <= b.max);
+
+function score(likelihood, severity) {
+  const value = likelihood * severity;
+  return { likelihood, severity, score: value, band: riskBand(value).label };
+}
+
+// The register as returned to API callers. Input hazard names are kept even
+// if the model rephrased them.
+export function buildRiskRegister(input, assessment) {
+  return assessment.hazards.map((h, i) => ({
+    ref: `H${i + 1}`,
+    hazard: input.hazards[i],
+    harm: h.harm,
+    peopleAtRisk: h.peopleAtRisk.length ? h.peopleAtRisk : input.peopleAtRisk,
+    existingControls: h.existingControls,
+    before: score(h.likelihood, h.severity),
+    furtherActions: h.furtherActions,
+    after: score(h.residualLikelihood, h.residualSeverity),
+  }));
+}
+
+/* ---------------------------------------------------------------------- */
+/*  REPORT SECTIONS                                                       */
+/* ---------------------------------------------------------------------- */
+const cell = (text, fill) => (fill ? { text, fill } : { text });
+const scoreCell = (s) => cell(`${s.likelihood}×${s.severity} = ${s.score}\n${s.band}`, riskBand(s.score).fill);
+
+function matrixTable(register, key, caption) {
+  const columns = [{ title: "Likelihood ↓ / Severity →", width: 2.2 }, ...SEVERITY.map((s, i) => ({ title: `${i + 1} ${s}`, width: 1.4 }))];
+  const rows = [];
+  for (let l = 5; l >= 1; l--) {
+    const row = [cell(`${l} ${LIKELIHOOD[l - 1]}`)];
+    for (let s = 1; s <= 5; s++) {
+      const refs = register.filter((r) => r[key].likelihood === l && r[key].severity === s).map((r) => r.ref);
+      row.push(cell(refs.length ? `${l * s}\n${refs.join(", ")}` : String(l * s), riskBand(l * s).fill));
+    }
+    rows.push(row);
+  }
+  return { type: "table", caption, columns, rows };
+}
+
+function registerTable(register) {
+  return {
+    type: "table",
+    columns: [
+      { title: "Ref", width: 0.7 },
+      { title: "Hazard and harm", width: 3 },
+      { title: "Who", width: 1.6 },
+      { title: "Existing controls", width: 2.6 },
+      { title: "Risk", width: 1.4 },
+      { title: "Further action", width: 3.2 },
+      { title: "Residual", width: 1.4 },
+    ],
+    rows: register.map((r) => [
+      cell(r.ref),
+      cell(`${r.hazard}\n${r.harm}`),
+      cell(r.peopleAtRisk.join(", ")),
+      cell(r.existingControls.length ? r.existingControls.join("; ") : "None recorded"),
+      scoreCell(r.before),
+      cell(r.furtherActions.length ? r.furtherActions.join("; ") : "None"),
+      scoreCell(r.after),
+    ]),
+  };
+}
+
+const bullets = (items) => (items.length ? [{ type: "bullets", items }] : []);
+
+export function assessmentSections(input, assessment, register) {
+  return [
+    {
+      title: "Task or activity",
+      blocks: [
+        { type: "paragraph", text: `Activity: ${input.activity}` },
+        ...(input.location ? [{ type: "paragraph", text: `Location: ${input.location}` }] : []),
+        { type: "paragraph", text: `People at risk: ${input.peopleAtRisk.join(", ")}` },
+        { type: "paragraph", text: assessment.summary },
+      ],
+    },
+    {
+      title: "Risk matrix",
+      blocks: [
+        { type: "paragraph", text: "Risk = likelihood × severity. Low 1–4, Medium 5–9, High 10–15, Very high 16–25." },
+        matrixTable(register, "before", "With existing controls"),
+        matrixTable(register, "after", "After further action"),
+      ],
+    },
+    { title: "Risk register", blocks: [registerTable(register)] },
+    {
+      title: "Further action",
+      blocks: register.flatMap((r) => [
+        { type: "subheading", text: `${r.ref} ${r.hazard}` },
+        ...bullets(r.furtherActions.length ? r.furtherActions : ["No further action identified."]),
+      ]),
+    },
+    { title: "Review and monitoring", blocks: [{ type: "paragraph", text: assessment.review }] },
+    {
+      title: "Key references and guidance",
+      blocks: bullets(assessment.references.map((r) => (r.passage ? `${r.title} [${r.passage}]` : r.title))),
+    },
+  ].map((section, i) => ({ number: i + 1, ...section }));
+}
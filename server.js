@@ -7,31 +7,84 @@
 
 import express from "express";
 import bodyParser from "body-parser";
-import OpenAI from "openai";
 import dotenv from "dotenv";
 import path from "path";
 import { fileURLToPath } from "url";
-import fetch from "node-fetch";
-import { PDFDocument, StandardFonts } from "pdf-lib";
-import { Document, Packer, Paragraph, TextRun } from "docx";
+import { getMailTransport } from "./mail_transport.js";
+import { defineJobType, enqueue, getJob, listJobs, replayJob, summariseJob, startWorker } from "./job_queue.js";
 import { Buffer } from "buffer";
-import { loadIndex, searchIndex } from "./vector_store.js";
+import crypto from "crypto";
+import { searchIndex, describeSource } from "./vector_store.js";
+import { searchBm25, fuseRankings } from "./keyword_index.js";
+import { getDomain, getDomainIndex, preloadDomains, listDomains } from "./domains.js";
+import { getChatProvider, meterTokens } from "./providers.js";
+import {
+  getTemplate, getTemplateByRef, renderTemplate, renderBlock, renderFooter, listTemplates, reloadTemplates, fillVariables
+} from "./prompt_templates.js";
 import cors from "cors";
+import {
+  saveReport, getReport, getReportFile, listReports, issueRegNo, verifyRegNo, REPORT_FILES
+} from "./report_store.js";
+import { signReport, verifyReportPdf, getPublicKey } from "./signing.js";
+import { createSession, getSession, addTurn, setFinal, summariseSession, MAX_TURNS } from "./session_store.js";
+import { createReportModel, reportToText } from "./report_model.js";
+import { parseStructuredOutput } from "./report_schema.js";
+import {
+  assessRiddor, validateIncident, PERSON_TYPES, SPECIFIED_INJURIES, DISEASES, DANGEROUS_OCCURRENCES
+} from "./riddor.js";
+import {
+  ASSESSMENT_SCHEMA, normaliseAssessmentInput, validateAssessmentInput, validateAssessment,
+  buildRiskRegister, assessmentSections
+} from "./risk_assessment.js";
+import {
+  COSHH_SCHEMA, ROUTES, HAZARD_STATEMENTS, normaliseCoshhInput, validateCoshhInput, validateCoshh,
+  coshhFacts, coshhSections
+} from "./coshh.js";
+import { WELS, EH40_EDITION } from "./eh40.js";
+import { buildPdf } from "./pdf_report.js";
+import { buildDocx } from "./docx_report.js";
+import { renderReportEmail } from "./email_report.js";
+import { brandFor, getBrand, planMessages } from "./email_settings.js";
+import { getOrganisation, listOrganisations, hostMatches, allowsDomain } from "./organisations.js";
+import { verifyApiKey } from "./api_keys.js";
+import { createRateLimiter, parseLimit } from "./rate_limit.js";
+import {
+  recordUsage, getUsage, listUsage, emptyUsage, currentMonth, isMonth, nextMonthStart, secondsToNextMonth, SHARED
+} from "./usage.js";
 
 dotenv.config();
 const app = express();
 app.use(cors());
 app.options("*", cors());
+// req.ip keys the per-IP rate limit. Behind a proxy (Render puts one in
+// front of the app) set TRUST_PROXY to the number of proxies, or to an
+// Express "trust proxy" list, so req.ip is the client's address. Off by
+// default: otherwise a forged X-Forwarded-For would pick the IP.
+if (process.env.TRUST_PROXY) {
+  const trust = process.env.TRUST_PROXY.trim();
+  app.set("trust proxy", /^\d+$/.test(trust) ? Number(trust) : trust);
+}
 
 /* --------------------------------------------------------------------- */
-/* ORIGIN SECURITY                                                       */
+/* ORIGIN SECURITY + API KEYS                                            */
 /* --------------------------------------------------------------------- */
+// AUTH_MODES (default "key,origin") picks what the API routes accept:
+//   key     an API key (api_keys.js) from any client, scoped to its
+//           organisation (organisations.js)
+//   origin  a browser whose Origin is in allowedDomains: the shared page
+// Either sets req.auth = { method, org, keyId? }. Any client can send an
+// Origin header, so it never identifies an organisation (org is null): it
+// opens the report endpoints and the shared page's own jobs and sessions,
+// whose unguessable IDs only the requester holds. Listings, report detail
+// and usage need an API key (requireApiKey).
 
 const allowedDomains = [
   "assistants.aivs.uk",
   "hands-advice-assistant-1.onrender.com"
 ];
 
+const AUTH_MODES = (process.env.AUTH_MODES || "key,origin").split(",").map((m) => m.trim());
+
 function verifyOrigin(req, res, next) {
   const origin = req.get("Origin");
   if (!origin)
@@ -39,18 +92,153 @@ function verifyOrigin(req, res, next) {
 
   try {
     const { hostname } = new URL(origin);
-    const allowed = allowedDomains.some(
-      (d) => hostname === d || hostname.endsWith("." + d)
-    );
-    if (!allowed)
+    if (!hostMatches(hostname, allowedDomains))
       return res.status(403).json({ error: "Forbidden – Origin not allowed", origin });
 
+    req.auth = { method: "origin", org: null };
     next();
   } catch {
     return res.status(400).json({ error: "Invalid Origin header" });
   }
 }
 
+const apiKeyFrom = (req) => req.get("X-API-Key") || (req.get("Authorization") || "").replace(/^Bearer\s+/i, "");
+
+// A key sent from a browser must also come from one of its organisation's
+// allowedDomains, when it has any, so a leaked key cannot be used from
+// another site.
+function authenticate(req, res, next) {
+  const key = apiKeyFrom(req);
+  if (!key || !AUTH_MODES.includes("key")) {
+    if (!AUTH_MODES.includes("origin")) return res.status(401).json({ error: "API key required" });
+    return verifyOrigin(req, res, next);
+  }
+
+  const found = verifyApiKey(key);
+  if (!found) return res.status(401).json({ error: "Invalid or revoked API key" });
+  const org = getOrganisation(found.org);
+  if (!org) return res.status(401).json({ error: "API key organisation is no longer configured" });
+
+  const origin = req.get("Origin");
+  if (origin && org.allowedDomains.length) {
+    let hostname = null;
+    try {
+      hostname = new URL(origin).hostname;
+    } catch {}
+    if (!hostname || !hostMatches(hostname, org.allowedDomains))
+      return res.status(403).json({ error: "Forbidden – Origin not allowed for this API key", origin });
+  }
+
+  req.auth = { method: "key", keyId: found.id, org };
+  next();
+}
+
+// Organisation data (report listings and detail, usage) is only for API keys.
+const requireApiKey = (req, res, next) =>
+  authenticate(req, res, () =>
+    req.auth.method === "key" ? next() : res.status(401).json({ error: "API key required" })
+  );
+
+// Reports, sessions and jobs belong to the organisation that created them
+// (null: the shared page) and are invisible to everyone else.
+const orgId = (req) => req.auth.org?.id || null;
+const ownedBy = (record, req) => (record.org || null) === orgId(req);
+
+// Addresses the request leaves out come from the organisation's defaults.
+const requestRecipients = (body, org) => ({
+  email: body.email || org?.recipients.requester || "",
+  managerEmail: body.managerEmail || org?.recipients.manager || "",
+  clientEmail: body.clientEmail || org?.recipients.client || "",
+});
+
+/* --------------------------------------------------------------------- */
+/* RATE LIMITS + MONTHLY QUOTAS                                          */
+/* --------------------------------------------------------------------- */
+// Report routes cost a model completion and embeddings, so they are rate
+// limited (rate_limit.js): an API key by its key ID, at its organisation's
+// rateLimit or RATE_LIMIT_KEY; a browser by its IP, at RATE_LIMIT_IP.
+// Each organisation may also cap its reports per month (monthlyReports in
+// organisations.json; SHARED_MONTHLY_REPORTS for the shared page). Both
+// answer 429 with Retry-After. The quota counts stored reports, so reports
+// still queued when it is reached may take an organisation slightly over.
+
+const KEY_LIMIT = parseLimit(process.env.RATE_LIMIT_KEY || "20/10");
+const IP_LIMIT = parseLimit(process.env.RATE_LIMIT_IP || "5/2");
+if (!KEY_LIMIT || !IP_LIMIT) throw new Error('RATE_LIMIT_KEY and RATE_LIMIT_IP must be "<burst>/<perMinute>"');
+const SHARED_MONTHLY_REPORTS = process.env.SHARED_MONTHLY_REPORTS ? Number(process.env.SHARED_MONTHLY_REPORTS) : null;
+if (SHARED_MONTHLY_REPORTS != null && !(Number.isInteger(SHARED_MONTHLY_REPORTS) && SHARED_MONTHLY_REPORTS >= 0))
+  throw new Error("SHARED_MONTHLY_REPORTS must be a whole number");
+
+const keyLimiter = createRateLimiter("key");
+const ipLimiter = createRateLimiter("ip");
+
+const monthlyQuota = (org) => (org ? org.monthlyReports : SHARED_MONTHLY_REPORTS);
+const callerLimit = (auth) => (auth.method === "key" ? auth.org.rateLimit || KEY_LIMIT : IP_LIMIT);
+
+function tooManyRequests(res, retryAfter, error) {
+  res.set("Retry-After", String(retryAfter));
+  return res.status(429).json({ error, retryAfter });
+}
+
+// A request the route turns away (4xx: bad body, unknown session, quota
+// reached) costs no model call, so its token is given back.
+function rateLimit(req, res, next) {
+  const { auth } = req;
+  const [limiter, key] = auth.method === "key" ? [keyLimiter, auth.keyId] : [ipLimiter, req.ip];
+  const { allowed, remaining, retryAfter } = limiter.take(key, callerLimit(auth));
+  res.set("X-RateLimit-Remaining", String(remaining));
+  if (!allowed) return tooManyRequests(res, retryAfter, `Too many requests – try again in ${retryAfter} s`);
+  res.on("finish", () => {
+    if (res.statusCode >= 400 && res.statusCode < 500) limiter.refund(key);
+  });
+  next();
+}
+
+async function reportQuota(req, res, next) {
+  const quota = monthlyQuota(req.auth.org);
+  if (quota == null) return next();
+  try {
+    const { reports } = await getUsage(orgId(req));
+    if (reports >= quota)
+      return tooManyRequests(res, secondsToNextMonth(), `Monthly quota of ${quota} reports reached`);
+    next();
+  } catch (err) {
+    console.error("❌ Usage lookup failed:", err.message);
+    res.status(500).json({ error: "Usage could not be checked" });
+  }
+}
+
+const reportLimits = [authenticate, rateLimit, reportQuota];
+
+// Usage counters (usage.js) are updated in the background; a failed update
+// is logged and never fails the request.
+const countUsage = (org, add) =>
+  recordUsage(org, add).catch((err) => console.error("❌ Usage update failed:", err.message));
+
+// Runs a report generation and counts the model tokens it used, including
+// those spent on an attempt that then fails.
+async function metered(org, fn) {
+  const tokens = { prompt: 0, completion: 0, embedding: 0 };
+  try {
+    return await meterTokens(tokens, fn);
+  } finally {
+    countUsage(org, { tokens });
+  }
+}
+
+// Admin routes need `Authorization: Bearer <ADMIN_TOKEN>` and do not exist
+// when ADMIN_TOKEN is unset.
+function verifyAdmin(req, res, next) {
+  const token = process.env.ADMIN_TOKEN;
+  if (!token) return res.status(404).json({ error: "Not found" });
+
+  const given = Buffer.from((req.get("Authorization") || "").replace(/^Bearer\s+/i, ""));
+  const expected = Buffer.from(token);
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected))
+    return res.status(401).json({ error: "Unauthorised" });
+  next();
+}
+
 /* --------------------------------------------------------------------- */
 /* PATH + SERVER                                                         */
 /* --------------------------------------------------------------------- */
@@ -62,330 +250,1338 @@ const __dirname = path.dirname(__filename);
 app.use(express.static(path.join(__dirname, "public")));
 app.use(bodyParser.json());
 
-const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
-
 /* --------------------------------------------------------------------- */
-/* PRELOAD FAISS INDEX                                                   */
+/* KNOWLEDGE DOMAINS                                                     */
 /* --------------------------------------------------------------------- */
+// Indexes load on first use (domains.js); those marked `preload` start now.
+// The risk assessment and COSHH modes always use the H&S domain.
 
-let globalIndex = null;
-
-(async () => {
-  try {
-    console.log("📦 Preloading H&S FAISS index...");
-    globalIndex = await loadIndex(10000);
-    console.log(`✅ Loaded ${globalIndex.length} chunks.`);
-  } catch (e) {
-    console.error("❌ FAISS preload failed:", e.message);
-  }
-})();
+preloadDomains();
+const hsDomain = () => getDomain("health-safety") || getDomain();
+for (const id of ["risk-assessment", "coshh"])
+  if (!getTemplate(id)) throw new Error(`Missing prompt template "${id}" (prompts/${id}/v<N>.txt)`);
+for (const org of listOrganisations()) {
+  for (const id of [org.domain, ...(org.domains || [])])
+    if (id && !getDomain(id)) throw new Error(`organisations.${org.id}: unknown domain "${id}"`);
+  if (org.brand && !getBrand(org.brand)) throw new Error(`organisations.${org.id}.brand: no email.json brand "${org.brand}"`);
+}
 
 /* --------------------------------------------------------------------- */
-/* FAISS SEARCH                                                          */
+/* HYBRID SEARCH (vector + BM25, reciprocal rank fusion)                 */
 /* --------------------------------------------------------------------- */
 
-async function queryFaissIndex(question) {
+// Weights of each ranking in the fusion; 0 switches a ranking off.
+// Passages below HYBRID_MIN_RELATIVE × the best fused score are dropped.
+const HYBRID = {
+  vectorWeight: Number(process.env.HYBRID_VECTOR_WEIGHT ?? 1),
+  keywordWeight: Number(process.env.HYBRID_KEYWORD_WEIGHT ?? 1),
+  rrfK: Number(process.env.HYBRID_RRF_K) || 60,
+  candidates: Number(process.env.HYBRID_CANDIDATES) || 50,
+  minRelative: Number(process.env.HYBRID_MIN_RELATIVE ?? 0.3),
+  maxPassages: Number(process.env.HYBRID_MAX_PASSAGES) || 10,
+};
+
+async function queryFaissIndex(question, domain = getDomain()) {
   try {
-    const index = globalIndex || [];
+    const { index, bm25 } = await getDomainIndex(domain);
     if (!index.length) {
-      console.error("❌ GlobalIndex not ready — still loading or empty");
-      return { joined: "", count: 0 };
+      console.error(`❌ ${domain.name} index is empty`);
+      return { joined: "", count: 0, sources: [] };
     }
 
-    const matches = await searchIndex(question, index);
-    const filtered = matches.filter((m) => m.score >= 0.03);
+    // Orthogonal / opposite vectors are not matches, whatever their rank.
+    const vectorHits = HYBRID.vectorWeight
+      ? (await searchIndex(question, index, { k: HYBRID.candidates })).filter((h) => h.score > 0)
+      : [];
+    const keywordHits = HYBRID.keywordWeight
+      ? searchBm25(bm25, question, HYBRID.candidates)
+      : [];
+
+    const fused = fuseRankings(
+      [
+        { name: "vector", weight: HYBRID.vectorWeight, hits: vectorHits },
+        { name: "keyword", weight: HYBRID.keywordWeight, hits: keywordHits },
+      ],
+      { k: HYBRID.rrfK }
+    );
+
+    const floor = (fused[0]?.score || 0) * HYBRID.minRelative;
+    const filtered = fused
+      .filter((f) => f.score >= floor)
+      .slice(0, HYBRID.maxPassages)
+      .map((f) => {
+        const chunk = index.chunk(f.row);
+        const vector = vectorHits.find((h) => h.row === f.row);
+        const keyword = keywordHits.find((h) => h.row === f.row);
+        return {
+          id: chunk.id ?? chunk.chunk_id ?? f.row,
+          text: chunk.text || "",
+          source: describeSource(chunk),
+          score: f.score,
+          vectorScore: vector ? Number(vector.score.toFixed(4)) : null,
+          keywordScore: keyword ? Number(keyword.score.toFixed(4)) : null,
+        };
+      });
+
+    const sources = filtered.map((m, i) => ({
+      ref: i + 1,
+      id: m.id,
+      ...m.source,
+      score: Number(m.score.toFixed(4)),
+      vectorScore: m.vectorScore,
+      keywordScore: m.keywordScore,
+    }));
 
     return {
-      joined: filtered.map((m) => m.text).join("\n\n"),
+      joined: filtered
+        .map((m, i) => `[${i + 1}] ${formatSource(sources[i])}\n${m.text}`)
+        .join("\n\n"),
       count: filtered.length,
+      sources,
     };
   } catch (err) {
     console.error("❌ FAISS query error:", err.message);
-    return { joined: "", count: 0 };
+    return { joined: "", count: 0, sources: [] };
   }
 }
 
+function formatSource(s) {
+  const parts = [s.title || s.file || "Untitled document"];
+  if (s.section) parts.push(`Section: ${s.section}`);
+  if (s.page) parts.push(`p. ${s.page}`);
+  if (s.url) parts.push(s.url);
+  else if (s.file && s.title) parts.push(s.file);
+  return parts.join(" — ");
+}
+
+/* --------------------------------------------------------------------- */
+/* STRUCTURED COMPLETION                                                 */
+/* --------------------------------------------------------------------- */
+
+// Asks for JSON matching `schema`; `parse(raw)` → { value, errors }. With
+// hooks.onToken the first attempt is streamed. Invalid output is sent back
+// with the validation errors once (hooks.onRetry); a second failure throws.
+async function requestStructured({ prompt, name, schema, parse, hooks = {} }) {
+  const chat = getChatProvider();
+  const responseFormat = { name, schema };
+  const messages = [{ role: "user", content: prompt }];
+
+  let completion = "";
+  if (hooks.onToken) {
+    for await (const delta of chat.stream({ messages, responseFormat })) {
+      completion += delta;
+      hooks.onToken(delta);
+    }
+  } else {
+    completion = await chat.complete({ messages, responseFormat });
+  }
+
+  let { value, errors } = parse(completion);
+  if (value) return value;
+
+  console.warn(`⚠️ Invalid ${name} output, retrying:`, errors.slice(0, 5).join("; "));
+  hooks.onRetry?.(errors);
+  completion = await chat.complete({
+    messages: [
+      ...messages,
+      { role: "assistant", content: completion },
+      {
+        role: "user",
+        content: `That response does not match the schema:\n${errors.slice(0, 20).join("\n")}\nReturn the corrected JSON object only.`,
+      },
+    ],
+    responseFormat,
+  });
+  ({ value, errors } = parse(completion));
+  if (!value) throw new Error(`${name} output invalid after retry: ${errors.slice(0, 5).join("; ")}`);
+  return value;
+}
+
+/* --------------------------------------------------------------------- */
+/* PROMPT TEMPLATES (prompt_templates.js)                                */
+/* --------------------------------------------------------------------- */
+// Variables every template can use besides its own: {{organisation}} from
+// the request, else the caller's organisation (organisations.js), else
+// ORGANISATION_NAME; and {{date}}, the report date.
+const templateVars = (organisation, ts) => ({
+  organisation:
+    String(organisation || "").trim().slice(0, 120) || process.env.ORGANISATION_NAME || "the organisation",
+  date: ts.slice(0, 10),
+});
+
+/* NEW SAVING CLAUSE — the footer lines come from the prompt template */
+const reportFooter = (regNo, template, vars) => renderFooter(template, { ...vars, regNo });
+
+// Retrieved passages become the Sources appendix.
+const sourceReferences = (sources) =>
+  sources.map((s) => ({ ref: s.ref, text: `${formatSource(s)} (score ${s.score})` }));
+
+// In a session the report's question is the first one; the follow-ups it
+// has been refined for are listed before section 1.
+const followUpPreamble = (questions) =>
+  questions.length > 1
+    ? [{ type: "subheading", text: "Follow-up questions" }, { type: "bullets", items: questions.slice(1) }]
+    : [];
+
+// The /ask report model; also rebuilt from a session's latest turn for the
+// final documents. `questions` is the thread so far, oldest first.
+const askReportModel = ({ domain, template, vars, structured, riddor, questions, sources, regNo, meta = {} }) =>
+  createReportModel({
+    title: domain.title,
+    sections: domain.sections(structured, { riddor }),
+    preamble: followUpPreamble(questions),
+    references: sourceReferences(sources),
+    footer: reportFooter(regNo, template, vars),
+    meta: { ...meta, question: questions[0], regNo, template: template.ref, organisation: vars.organisation },
+  });
+
 /* --------------------------------------------------------------------- */
 /* REPORT GENERATOR                                                      */
 /* --------------------------------------------------------------------- */
 
-async function generateHSReport(question) {
-  const { joined, count } = await queryFaissIndex(question);
+// hooks.onSources(sources) fires once retrieval is done; hooks.onToken and
+// hooks.onRetry are passed to requestStructured().
+// `domain` (domains.js) supplies the index, the prompt template and the
+// JSON schema; `vars` are the templateVars(). The validated object is mapped into the report model
+// (report_model.js) that every renderer uses; reportText is its canonical
+// plain-text form. A rules-based RIDDOR result (riddor.js, H&S domain only)
+// is given to the model as fact and overrides its reportable flag and
+// category.
+// `history` holds the earlier turns of a session ({ question, structured },
+// oldest first): retrieval searches the recent questions together, and the
+// model refines the latest report rather than writing a new one.
+async function generateReport(
+  question, hooks = {}, { domain = getDomain(), vars, meta = {}, riddor = null, history = [] } = {}
+) {
+  const { joined, count, sources } = await queryFaissIndex(
+    [...history.slice(-3).map((t) => t.question), question].join("\n"),
+    domain
+  );
   const context = joined.slice(0, 50000);
+  hooks.onSources?.(sources);
+  const previous = history.at(-1);
 
-  const prompt = `
-You are a qualified UK health & safety consultant preparing a structured internal compliance report.
-Use HSE guidance, RIDDOR 2013, CDM 2015, COSHH, and the Workplace (Health, Safety and Welfare) Regulations.
-Write in clear, formal UK English.
-Do NOT use Markdown (**text**, ### headings, or bullet syntax).
-Use numbered sections following this structure:
-
-1. Context
-2. Immediate actions
-3. Evidence and investigation
-4. Risk assessment and controls
-5. Documentation and reporting (including RIDDOR where relevant)
-6. Follow-up actions and monitoring
-7. Key references and guidance
-
-Question: "${question}"
-
-Context:
-${context}`.trim();
-
-  const completion = await openai.chat.completions.create({
-    model: "gpt-4.1",
-    messages: [{ role: "user", content: prompt }],
+  const template = domain.template();
+  const prompt = renderTemplate(template, "prompt", {
+    ...vars,
+    schema: JSON.stringify(domain.schema),
+    riddorBlock: renderBlock(template, "riddor", { riddor: JSON.stringify(riddor) }, Boolean(riddor)),
+    followUpBlock: renderBlock(
+      template,
+      "follow-up",
+      { history: history.map((t) => `- ${t.question}`).join("\n"), current: JSON.stringify(previous?.structured) },
+      Boolean(previous)
+    ),
+    question,
+    context,
   });
 
-  let text = completion.choices[0].message.content.trim();
+  const structured = await requestStructured({
+    prompt,
+    name: `${domain.id.replace(/-/g, "_")}_report`,
+    schema: domain.schema,
+    parse: domain.parse,
+    hooks,
+  });
 
-  const now = new Date();
-  const seed = `${String(now.getFullYear()).slice(2)}${String(
-    now.getMonth() + 1).padStart(2,"0")}${String(now.getDate()).padStart(2,"0")}`;
-  const rand = Math.floor(1000 + Math.random() * 9000);
+  if (riddor) {
+    structured.reporting.riddorReportable = riddor.reportable;
+    structured.reporting.riddorCategory = riddor.category;
+  }
 
-  /* NEW SAVING CLAUSE */
-  const footer = `
-  This report was prepared using the AIVS FAISS-indexed UK Health & Safety knowledge base.
-  It is provided for internal guidance only and must not be relied upon as a substitute for legal, regulatory, or professional safety advice.
-  All statutory duties under UK Health & Safety legislation remain the responsibility of the organisation at all times.
-  
-  Reg. No. AIVS/UK/${seed}-${rand}/${count}
-  © AIVS Software Limited 2025`;
+  const regNo = await issueRegNo({ passages: count });
 
-  return `${text}\n\n${footer}`;
-}
+  const model = askReportModel({
+    domain, template, vars, structured, riddor, questions: [...history.map((t) => t.question), question], sources, regNo,
+    meta,
+  });
 
+  return { model, structured, riddor, reportText: reportToText(model), sources, regNo, template: template.ref };
+}
 
 /* --------------------------------------------------------------------- */
-/* PDF BUILDER                                                           */
+/* RISK ASSESSMENT GENERATOR                                             */
 /* --------------------------------------------------------------------- */
 
-function sanitizeForPdf(txt = "") {
-  return String(txt).replace(/[^\x09\x0A\x0D\x20-\x7E£–—]/g, "");
+// `input` comes from normaliseAssessmentInput(). The model rates each
+// hazard and recommends further action; risk_assessment.js scores it and
+// lays out the matrix and register.
+async function generateRiskAssessment(input, { vars, meta = {} } = {}) {
+  const question = `Risk assessment: ${input.activity}`;
+  const { joined, count, sources } = await queryFaissIndex(
+    `${input.activity}. Hazards: ${input.hazards.join("; ")}`,
+    hsDomain()
+  );
+
+  const template = getTemplate("risk-assessment");
+  const prompt = renderTemplate(template, "prompt", {
+    ...vars,
+    schema: JSON.stringify(ASSESSMENT_SCHEMA),
+    activity: input.activity,
+    location: input.location || "not stated",
+    peopleAtRisk: input.peopleAtRisk.join("; "),
+    existingControls: input.existingControls.length ? input.existingControls.join("; ") : "none recorded",
+    hazards: input.hazards.map((h, i) => `${i + 1}. ${h}`).join("\n"),
+    question,
+    context: joined.slice(0, 50000),
+  });
+
+  const assessment = await requestStructured({
+    prompt,
+    name: "risk_assessment",
+    schema: ASSESSMENT_SCHEMA,
+    parse: (raw) => parseStructuredOutput(raw, (v) => validateAssessment(v, input)),
+  });
+
+  const register = buildRiskRegister(input, assessment);
+  const regNo = await issueRegNo({ passages: count });
+
+  const model = createReportModel({
+    title: "Risk Assessment Report",
+    sections: assessmentSections(input, assessment, register),
+    references: sourceReferences(sources),
+    footer: reportFooter(regNo, template, vars),
+    meta: { ...meta, question, regNo, template: template.ref, organisation: vars.organisation },
+  });
+
+  return {
+    question, model, assessment, register, reportText: reportToText(model), sources, regNo, template: template.ref,
+  };
 }
 
-async function buildPdf({ fullName, ts, question, reportText }) {
-  const pdfDoc = await PDFDocument.create();
-  let page = pdfDoc.addPage();
-  let { width, height } = page.getSize();
+/* --------------------------------------------------------------------- */
+/* COSHH ASSESSMENT GENERATOR                                            */
+/* --------------------------------------------------------------------- */
 
-  const fontBody = await pdfDoc.embedStandardFont(StandardFonts.Helvetica);
-  const fontBold = await pdfDoc.embedStandardFont(StandardFonts.HelveticaBold);
+// `input` comes from normaliseCoshhInput(). Classification, WELs and the
+// surveillance triggers (coshh.js) are given to the model as fact; it
+// writes the controls, PPE and emergency measures.
+async function generateCoshhAssessment(input, { vars, meta = {} } = {}) {
+  const question = `COSHH assessment: ${input.substance}${input.task ? ` (${input.task})` : ""}`;
+  const facts = coshhFacts(input);
+  const { joined, count, sources } = await queryFaissIndex(
+    `COSHH control of ${input.substance}. ${facts.classification.map((c) => c.text).join("; ")}. Exposure by ${input.routes.join(", ")}`,
+    hsDomain()
+  );
 
-  let y = height - 50;
+  const template = getTemplate("coshh");
+  const prompt = renderTemplate(template, "prompt", {
+    ...vars,
+    schema: JSON.stringify(COSHH_SCHEMA),
+    substance: input.substance,
+    cas: input.cas.join(", ") || "not stated",
+    task: input.task || "not stated",
+    location: input.location || "not stated",
+    quantity: input.quantity,
+    routes: input.routes.join(", "),
+    frequency: input.frequency,
+    hazardStatements: input.hazardStatements.join("; ") || "none supplied",
+    sdsExtract: input.sdsExtract || "none supplied",
+    facts: JSON.stringify(facts),
+    question,
+    context: joined.slice(0, 50000),
+  });
 
-  const draw = (txt, x, y, size, font) =>
-    page.drawText(String(txt || ""), { x, y, size, font });
+  const assessment = await requestStructured({
+    prompt,
+    name: "coshh_assessment",
+    schema: COSHH_SCHEMA,
+    parse: (raw) => parseStructuredOutput(raw, validateCoshh),
+  });
+
+  const regNo = await issueRegNo({ passages: count });
 
-  draw("Health & Safety Assistant Report", 50, y, 16, fontBold);
-  y -= 20;
-  draw(`Prepared for: ${fullName || "N/A"}`, 50, y, 11, fontBody);
-  y -= 14;
-  draw(`Timestamp: ${ts}`, 50, y, 11, fontBody);
-  y -= 20;
+  const model = createReportModel({
+    title: "COSHH Assessment Report",
+    sections: coshhSections(input, assessment, facts),
+    references: sourceReferences(sources),
+    footer: reportFooter(regNo, template, vars),
+    meta: { ...meta, question, regNo, template: template.ref, organisation: vars.organisation },
+  });
+
+  return { question, model, assessment, facts, reportText: reportToText(model), sources, regNo, template: template.ref };
+}
 
-  for (const line of sanitizeForPdf(reportText).split("\n")) {
-    if (y < 60) {
-      page = pdfDoc.addPage();
-      ({ width, height } = page.getSize());
-      y = height - 50;
+/* --------------------------------------------------------------------- */
+/* EMAIL                                                                 */
+/* --------------------------------------------------------------------- */
+
+// Resolved now so a misconfigured MAIL_TRANSPORT stops the server at start.
+getMailTransport();
+
+// One message per planMessages() entry (email_settings.js): roles sharing
+// a message are To/Cc/Bcc on it; a "separate" role gets its own, with its
+// cover note and attachments. Roles in `alreadySent` (a retry) are not
+// sent again.
+// → { status: "sent" | "partial" | "failed" | "skipped", transport,
+//     recipients, messages: [ { roles, to, cc, bcc, status, messageId?,
+//     file?, error? } ], error? }, returned to the caller as `delivery`.
+// The brand is the caller organisation's (`org`), else the default one. A
+// failed send is logged but does not fail the request: the report has
+// already been generated by then and is still stored.
+async function sendReportEmail({
+  ts, org = null, model, reportText, pdfBuf, docBuf, email, managerEmail, clientEmail,
+  subject = "Your Health & Safety Report", alreadySent = [],
+}) {
+  const recipients = [email, managerEmail, clientEmail].filter(Boolean);
+  const transport = getMailTransport();
+  if (!transport) {
+    console.warn("⚠️ No mail transport configured — email skipped");
+    return { status: "skipped", reason: "No mail transport configured", transport: null, recipients };
+  }
+  if (!recipients.length) {
+    console.log("📭 No recipients — email skipped");
+    return { status: "skipped", reason: "No recipients", transport: transport.name, recipients };
+  }
+
+  const organisation = model.meta.organisation;
+  const brand = brandFor(org);
+  const noteVars = {
+    title: model.title,
+    regNo: model.meta.regNo || "",
+    question: model.meta.question || "",
+    organisation: organisation || "your organisation",
+    date: ts.slice(0, 10),
+  };
+  const files = {
+    pdf: { filename: `hs-${ts}.pdf`, contentType: "application/pdf", content: pdfBuf },
+    docx: {
+      filename: `hs-${ts}.docx`,
+      contentType: "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+      content: docBuf,
+    },
+  };
+
+  const messages = [];
+  for (const { roles, to, cc, bcc, coverNote, attachments } of planMessages({
+    requester: email, manager: managerEmail, client: clientEmail,
+  })) {
+    if (roles.every((r) => alreadySent.includes(r))) {
+      messages.push({ roles, to, cc, bcc, status: "sent", earlier: true });
+      continue;
     }
-    draw(line, 50, y, 11, fontBody);
-    y -= 14;
+    const note = coverNote.map((line) => fillVariables(line, noteVars, "email cover note"));
+    try {
+      const sent = await transport.send({
+        to,
+        cc,
+        bcc,
+        subject,
+        text: [...note, "", reportText].join("\n"),
+        html: renderReportEmail(model, { brand, coverNote: note }),
+        attachments: attachments.map((kind) => files[kind]).filter((a) => a.content),
+      });
+      console.log(`📧 Report emailed via ${transport.name} (${roles.join(", ")}) to ${sent.accepted.join(", ")}`);
+      messages.push({ roles, to, cc, bcc, status: "sent", ...sent });
+    } catch (err) {
+      console.error(`❌ Email (${roles.join(", ")}) failed:`, err.message, err.details || "");
+      messages.push({ roles, to, cc, bcc, status: "failed", error: err.message, details: err.details || null });
+    }
+  }
+
+  const sentNow = messages.filter((m) => m.status === "sent" && !m.earlier).length;
+  if (sentNow) countUsage(org?.id || null, { emails: sentNow });
+
+  const failed = messages.filter((m) => m.status === "failed");
+  return {
+    status: !failed.length ? "sent" : failed.length === messages.length ? "failed" : "partial",
+    transport: transport.name,
+    recipients,
+    messages,
+    ...(failed.length && { error: failed.map((m) => m.error).join("; ") }),
+  };
+}
+
+/* --------------------------------------------------------------------- */
+/* REPORT PERSISTENCE                                                    */
+/* --------------------------------------------------------------------- */
+
+// A failed save is logged but does not fail the request: the report has
+// already been generated (and possibly emailed) by then.
+async function persistReport({
+  kind, org, domain, template, question, model, structured, riddor, register, coshh, sessionId, reportText, ts, regNo, sources,
+  pdfBuf, docBuf, email, managerEmail, clientEmail,
+}) {
+  try {
+    const stored = await saveReport({
+      kind,
+      org,
+      domain,
+      question,
+      answer: reportText,
+      report: model,
+      structured,
+      riddor,
+      register,
+      coshh,
+      sessionId,
+      template,
+      timestamp: ts,
+      regNo,
+      sources,
+      emails: { email, managerEmail, clientEmail },
+      pdf: pdfBuf,
+      docx: docBuf,
+    });
+    countUsage(org, { reports: 1 });
+    return stored;
+  } catch (err) {
+    console.error("❌ Report store failed:", err.message);
+    return null;
+  }
+}
+
+/* --------------------------------------------------------------------- */
+/* DOWNLOAD LINKS                                                        */
+/* --------------------------------------------------------------------- */
+// The PDF and DOCX downloads are plain links opened from the page, so they
+// cannot carry an API key. Responses hand out links signed with
+// DOWNLOAD_LINK_SECRET that expire after DOWNLOAD_LINK_TTL_HOURS (24); the
+// report ID alone no longer opens a file.
+
+const LINK_SECRET = process.env.DOWNLOAD_LINK_SECRET || crypto.randomBytes(32).toString("hex");
+if (!process.env.DOWNLOAD_LINK_SECRET) console.warn("⚠️ DOWNLOAD_LINK_SECRET not set — download links stop working on restart");
+const LINK_TTL_MS = (Number(process.env.DOWNLOAD_LINK_TTL_HOURS) || 24) * 60 * 60 * 1000;
+
+const linkSignature = (id, ext, expires) =>
+  crypto.createHmac("sha256", LINK_SECRET).update(`${id}.${ext}:${expires}`).digest("base64url");
+
+// A stored report's { pdf, docx } as signed links; null when it was not stored.
+function downloadLinks(report) {
+  if (!report?.files) return null;
+  const expires = Math.floor((Date.now() + LINK_TTL_MS) / 1000);
+  return Object.fromEntries(
+    Object.entries(report.files).map(([ext, file]) => [
+      ext,
+      file && `/reports/${report.id}.${ext}?expires=${expires}&sig=${linkSignature(report.id, ext, expires)}`,
+    ])
+  );
+}
+
+function verifyDownloadLink(req, res, next) {
+  const { id, ext } = req.params;
+  const expires = Number(req.query.expires);
+  const given = Buffer.from(String(req.query.sig || ""));
+  const expected = Buffer.from(linkSignature(id, ext, expires));
+  if (!expires || given.length !== expected.length || !crypto.timingSafeEqual(given, expected))
+    return res.status(403).json({ error: "Invalid download link" });
+  if (expires * 1000 < Date.now()) return res.status(410).json({ error: "Download link has expired" });
+  next();
+}
+
+/* --------------------------------------------------------------------- */
+/* SESSIONS                                                              */
+/* --------------------------------------------------------------------- */
+// /ask starts a session unless it is given a `sessionId`, in which case the
+// question is a follow-up that refines that thread's latest report. Email
+// goes only to the addresses sent with each request, so the page leaves
+// them out of follow-ups and sends them with the final documents.
+
+// → { session } (null for a new thread) or { status, error }. Another
+// organisation's session is unknown.
+async function resolveSession(sessionId, req) {
+  if (!sessionId) return { session: null };
+  try {
+    const session = await getSession(sessionId);
+    if (!session || !ownedBy(session, req)) return { status: 404, error: "Unknown session" };
+    if (session.turns.length >= MAX_TURNS)
+      return { status: 409, error: `Session has reached ${MAX_TURNS} turns; start a new one` };
+    return { session };
+  } catch (err) {
+    console.error("❌ Session load failed:", err.message);
+    return { status: 500, error: "Session could not be loaded" };
   }
+}
+
+// Checks an /ask request. → { session, domain } or { status, error, details? }.
+// A follow-up stays in its session's domain; without `domain` the caller's
+// organisation default applies.
+async function resolveAsk(req) {
+  const { question, incident, sessionId } = req.body;
+  const org = req.auth.org;
+  if (!question) return { status: 400, error: "Missing question" };
+  const domainId = req.body.domain || (sessionId ? null : org?.domain);
+  const resolved = await resolveSession(sessionId, req);
+  if (resolved.error) return resolved;
+  const { session } = resolved;
+  if (session?.domain && domainId && domainId !== session.domain)
+    return { status: 400, error: `Session belongs to the ${session.domain} domain` };
+
+  const domain = getDomain(session?.domain || domainId);
+  if (!domain) return { status: 400, error: `Unknown domain "${domainId}"` };
+  if (!allowsDomain(org, domain.id))
+    return { status: 403, error: `The ${domain.id} domain is not enabled for this organisation` };
+  if (incident && !domain.riddor)
+    return { status: 400, error: `incident is not supported in the ${domain.id} domain` };
+  const incidentErrors = incident ? validateIncident(incident) : [];
+  if (incidentErrors.length) return { status: 400, error: "Invalid incident", details: incidentErrors };
+  return { session, domain };
+}
+
+// The incident sent with this turn, else the one the session already holds.
+const turnRiddor = (incident, session) => {
+  const facts = incident || session?.incident;
+  return facts ? assessRiddor(facts) : null;
+};
+
+// The organisation sent with this turn, else the one the thread used.
+const turnVars = (body, session, ts, org) =>
+  templateVars(body.organisation || session?.turns.at(-1)?.organisation || org?.name, ts);
+
+// Like persistReport(), a failure is logged and does not fail the request.
+// → the turn number, or null.
+async function recordTurn(sessionId, turn) {
+  try {
+    return (await addTurn(sessionId, turn)).turns.length;
+  } catch (err) {
+    console.error("❌ Session update failed:", err.message);
+    return null;
+  }
+}
+
+/* --------------------------------------------------------------------- */
+/* BACKGROUND JOBS (job_queue.js)                                        */
+/* --------------------------------------------------------------------- */
+// Email goes out from the report store, so a retry or a dead-letter replay
+// needs nothing but the report ID. Any failed message throws so the queue
+// retries; `emailedRoles` (kept on the job result) records the roles whose
+// message did go, so the retry does not send theirs twice.
+async function emailStoredReport(reportId, { ts, subject, email, managerEmail, clientEmail }, emailedRoles) {
+  const report = await getReport(reportId);
+  if (!report) throw new Error(`Report ${reportId} not found`);
+  const [pdfBuf, docBuf] = await Promise.all([getReportFile(reportId, "pdf"), getReportFile(reportId, "docx")]);
+  const delivery = await sendReportEmail({
+    ts, org: getOrganisation(report.org), model: report.report, reportText: report.answer, pdfBuf, docBuf,
+    email, managerEmail, clientEmail, subject, alreadySent: emailedRoles,
+  });
+  for (const m of delivery.messages || [])
+    if (m.status === "sent") emailedRoles.push(...m.roles.filter((r) => !emailedRoles.includes(r)));
+  if (delivery.status === "failed" || delivery.status === "partial") throw new Error(delivery.error);
+  return delivery;
+}
+
+defineJobType("email", [
+  {
+    name: "email",
+    retry: true,
+    run: async ({ reportId, org, ...message }, r) => ({
+      delivery: await emailStoredReport(reportId, message, (r.emailedRoles ||= [])),
+    }),
+  },
+]);
+
+// The email for a report the request has just stored is queued →
+// { status: "queued", jobId, … }. With nothing to send, or when the store
+// failed and the queue has no copy to send from, it runs inline as before.
+async function deliverReport({
+  stored, ts, org = null, model, reportText, pdfBuf, docBuf, email, managerEmail, clientEmail, subject,
+}) {
+  const recipients = [email, managerEmail, clientEmail].filter(Boolean);
+  if (!stored || !recipients.length || !getMailTransport())
+    return sendReportEmail({ ts, org, model, reportText, pdfBuf, docBuf, email, managerEmail, clientEmail, subject });
 
-  return Buffer.from(await pdfDoc.save());
+  const job = await enqueue("email", {
+    reportId: stored.id, org: org?.id || null, ts, subject, email, managerEmail, clientEmail,
+  });
+  return { status: "queued", transport: getMailTransport().name, recipients, jobId: job.id };
 }
 
+// An /ask report end to end. job.result builds up into the body the
+// synchronous /ask used to return.
+defineJobType("ask", [
+  {
+    name: "generate",
+    retry: true,
+    async run({ question, org: orgKey, domain: domainId, sessionId, incident, organisation, email }) {
+      const domain = getDomain(domainId);
+      if (!domain) throw new Error(`Domain "${domainId}" is no longer configured`);
+      const session = sessionId ? await getSession(sessionId) : null;
+      if (sessionId && !session) throw new Error(`Session ${sessionId} not found`);
+
+      const ts = new Date().toISOString();
+      const vars = turnVars({ organisation }, session, ts, getOrganisation(orgKey));
+      const { model, structured, riddor, reportText, sources, regNo, template } = await metered(orgKey, () =>
+        generateReport(question, {}, {
+          domain,
+          vars,
+          meta: { generated: ts, preparedFor: email },
+          riddor: turnRiddor(incident, session),
+          history: session?.turns || [],
+        })
+      );
+      return {
+        question, domain: domain.id, template, organisation: vars.organisation, answer: reportText, report: model,
+        structured, riddor, sources, timestamp: ts, regNo,
+      };
+    },
+  },
+  {
+    name: "documents",
+    async run({ org, sessionId, incident, email, managerEmail, clientEmail }, r) {
+      const integrity = signReport({ regNo: r.regNo, reportText: r.answer });
+      const pdfBuf = await buildPdf({ model: r.report, integrity });
+      const docBuf = await buildDocx({ model: r.report });
+
+      // Kept on the result at once, so a replay after a failed save reuses
+      // the session rather than opening another.
+      r.sessionId ||= sessionId || (await createSession({ domain: r.domain, org })).id;
+      const stored = await persistReport({
+        org, domain: r.domain, template: r.template, question: r.question, model: r.report, structured: r.structured,
+        riddor: r.riddor, sessionId: r.sessionId, reportText: r.answer, ts: r.timestamp, regNo: r.regNo,
+        sources: r.sources, pdfBuf, docBuf, email, managerEmail, clientEmail,
+      });
+      if (!stored) throw new Error("Report could not be stored");
+      const turn = await recordTurn(r.sessionId, {
+        question: r.question, timestamp: r.timestamp, regNo: r.regNo, reportId: stored.id, template: r.template,
+        organisation: r.organisation, structured: r.structured, riddor: r.riddor, sources: r.sources, incident,
+      });
+      return { turn, reportId: stored.id, documents: stored.files };
+    },
+  },
+  {
+    name: "email",
+    retry: true,
+    run: async ({ email, managerEmail, clientEmail }, r) => ({
+      delivery: await emailStoredReport(
+        r.reportId,
+        { ts: r.timestamp, subject: getDomain(r.domain)?.emailSubject, email, managerEmail, clientEmail },
+        (r.emailedRoles ||= [])
+      ),
+    }),
+  },
+]);
+
+startWorker();
+
 /* --------------------------------------------------------------------- */
 /* /ASK ROUTE                                                            */
 /* --------------------------------------------------------------------- */
+// Body: { question, domain?, organisation?, email?, managerEmail?, clientEmail?, incident?, sessionId? }
+// `domain` is a domains.json id (GET /domains); `incident` is H&S only.
+// `organisation` names the client in the prompt and footer; a follow-up
+// keeps the session's unless it sends a new one. An API key caller gets its
+// organisation's default domain, name and recipients for what it leaves out.
+// The request is checked here and the report is queued as an "ask" job:
+// 202 { jobId, status, statusUrl }. GET /jobs/:id returns its progress and,
+// once done, the report (question, domain, template, sessionId, turn,
+// answer, report, structured, riddor, sources, timestamp, regNo, reportId,
+// documents, delivery).
 
-app.post("/ask", verifyOrigin, async (req, res) => {
-  const { question, email, managerEmail, clientEmail } = req.body;
-  if (!question)
-    return res.status(400).json({ error: "Missing question" });
+app.post("/ask", reportLimits, async (req, res) => {
+  const { question, incident, organisation } = req.body;
+  const { email, managerEmail, clientEmail } = requestRecipients(req.body, req.auth.org);
+  const { session, domain, status, error, details } = await resolveAsk(req);
+  if (error) return res.status(status).json({ error, details });
+
+  try {
+    const job = await enqueue("ask", {
+      question,
+      org: orgId(req),
+      domain: domain.id,
+      sessionId: session?.id || null,
+      incident: incident || null,
+      organisation: organisation || null,
+      email,
+      managerEmail,
+      clientEmail,
+    });
+    res.status(202).json({ jobId: job.id, status: job.status, statusUrl: `/jobs/${job.id}` });
+  } catch (err) {
+    console.error("❌ Report could not be queued:", err);
+    res.status(500).json({ error: "Report could not be queued" });
+  }
+});
+
+/* --------------------------------------------------------------------- */
+/* JOB STATUS                                                            */
+/* --------------------------------------------------------------------- */
+// status: "queued" (waiting, or backing off before a retry: see nextRunAt
+// and error), "running", "done" (result complete) or "dead" (retries used
+// up; an admin can replay it).
+
+app.get("/jobs/:id", authenticate, async (req, res) => {
+  try {
+    const job = await getJob(req.params.id);
+    if (!job || !ownedBy(job.payload, req)) return res.status(404).json({ error: "Unknown job" });
+    const summary = summariseJob(job);
+    if (summary.result.documents)
+      summary.result = {
+        ...summary.result,
+        documents: downloadLinks({ id: summary.result.reportId, files: summary.result.documents }),
+      };
+    res.json(summary);
+  } catch (err) {
+    console.error("❌ Job lookup failed:", err.message);
+    res.status(500).json({ error: "Job could not be loaded" });
+  }
+});
+
+/* --------------------------------------------------------------------- */
+/* /ASK/STREAM ROUTE (Server-Sent Events)                                */
+/* --------------------------------------------------------------------- */
+// Same pipeline as /ask, reported as it happens:
+//   stage   { stage: "retrieval" | "writing" | "retry" | "documents" | "email" }
+//   sources [ ...citation ]
+//   token   { text }            JSON deltas from the model (first attempt only)
+//   done    { question, domain, template, sessionId, turn, answer, report, structured, riddor, sources, timestamp, regNo, reportId,
+//             documents: { pdf, docx }, delivery }
+//   error   { error }
+
+app.post("/ask/stream", reportLimits, async (req, res) => {
+  const { question, incident } = req.body;
+  const org = req.auth.org;
+  const { email, managerEmail, clientEmail } = requestRecipients(req.body, org);
+  const { session, domain, status, error, details } = await resolveAsk(req);
+  if (error) return res.status(status).json({ error, details });
+
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+  res.flushHeaders();
+
+  const send = (event, data) => {
+    if (!res.writableEnded) res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  try {
+    const ts = new Date().toISOString();
+    send("stage", { stage: "retrieval" });
+
+    const vars = turnVars(req.body, session, ts, org);
+    const { model, structured, riddor, reportText, sources, regNo, template } = await metered(orgId(req), () =>
+      generateReport(
+        question,
+        {
+          onSources: (s) => {
+            send("sources", s);
+            send("stage", { stage: "writing" });
+          },
+          onToken: (text) => send("token", { text }),
+          onRetry: () => send("stage", { stage: "retry" }),
+        },
+        {
+          domain,
+          vars,
+          meta: { generated: ts, preparedFor: email },
+          riddor: turnRiddor(incident, session),
+          history: session?.turns || [],
+        }
+      )
+    );
+
+    send("stage", { stage: "documents" });
+    const integrity = signReport({ regNo, reportText });
+    const pdfBuf = await buildPdf({ model, integrity });
+    const docBuf = await buildDocx({ model });
+
+    const thread = session || (await createSession({ domain: domain.id, org: orgId(req) }));
+    const stored = await persistReport({
+      org: orgId(req), domain: domain.id, template, question, model, structured, riddor, sessionId: thread.id, reportText, ts, regNo,
+      sources, pdfBuf, docBuf, email, managerEmail, clientEmail,
+    });
+    const turn = await recordTurn(thread.id, {
+      question, timestamp: ts, regNo, reportId: stored?.id || null, template, organisation: vars.organisation,
+      structured, riddor, sources, incident,
+    });
+
+    send("stage", { stage: "email" });
+    const delivery = await deliverReport({
+      stored, ts, org, model, reportText, pdfBuf, docBuf, email, managerEmail, clientEmail, subject: domain.emailSubject,
+    });
+
+    send("done", {
+      question,
+      domain: domain.id,
+      template,
+      sessionId: thread.id,
+      turn,
+      answer: reportText,
+      report: model,
+      structured,
+      riddor,
+      sources,
+      timestamp: ts,
+      regNo,
+      reportId: stored?.id || null,
+      documents: downloadLinks(stored),
+      delivery,
+    });
+  } catch (err) {
+    console.error("❌ Streamed report failed:", err);
+    send("error", { error: "Report generation failed" });
+  }
+  res.end();
+});
+
+/* --------------------------------------------------------------------- */
+/* SESSION THREAD AND FINAL DOCUMENTS                                    */
+/* --------------------------------------------------------------------- */
+// GET returns the thread. POST .../documents rebuilds the latest report of
+// the thread as the final documents — new reg. no., signed, stored and
+// emailed to the addresses in the body — without another model call.
+
+app.get("/sessions/:id", authenticate, async (req, res) => {
+  try {
+    const session = await getSession(req.params.id);
+    if (!session || !ownedBy(session, req)) return res.status(404).json({ error: "Unknown session" });
+    res.json(summariseSession(session));
+  } catch (err) {
+    console.error("❌ Session fetch failed:", err.message);
+    res.status(500).json({ error: "Session could not be loaded" });
+  }
+});
+
+app.post("/sessions/:id/documents", reportLimits, async (req, res) => {
+  const org = req.auth.org;
+  const { email, managerEmail, clientEmail } = requestRecipients(req.body, org);
+  try {
+    const session = await getSession(req.params.id);
+    if (!session || !ownedBy(session, req)) return res.status(404).json({ error: "Unknown session" });
+    const latest = session.turns.at(-1);
+    if (!latest) return res.status(409).json({ error: "Session has no report yet" });
+    const domain = getDomain(session.domain);
+    if (!domain) return res.status(409).json({ error: `Domain "${session.domain}" is no longer configured` });
+
+    const ts = new Date().toISOString();
+    const questions = session.turns.map((t) => t.question);
+    // The footer of the template that wrote the report, if it still exists.
+    const template = getTemplateByRef(latest.template) || domain.template();
+    const regNo = await issueRegNo({ passages: latest.sources.length });
+    const model = askReportModel({
+      domain,
+      template,
+      vars: templateVars(latest.organisation || org?.name, ts),
+      structured: latest.structured,
+      riddor: latest.riddor,
+      questions,
+      sources: latest.sources,
+      regNo,
+      meta: { generated: ts, preparedFor: email },
+    });
+    const reportText = reportToText(model);
+    const integrity = signReport({ regNo, reportText });
+    const pdfBuf = await buildPdf({ model, integrity });
+    const docBuf = await buildDocx({ model });
+
+    const stored = await persistReport({
+      org: orgId(req),
+      domain: domain.id,
+      template: template.ref,
+      question: questions[0], model, structured: latest.structured, riddor: latest.riddor, sessionId: session.id,
+      reportText, ts, regNo, sources: latest.sources, pdfBuf, docBuf, email, managerEmail, clientEmail,
+    });
+    const delivery = await deliverReport({
+      stored, ts, org, model, reportText, pdfBuf, docBuf, email, managerEmail, clientEmail, subject: domain.emailSubject,
+    });
+    await setFinal(session.id, { regNo, reportId: stored?.id || null, timestamp: ts });
+
+    res.json({
+      sessionId: session.id,
+      domain: domain.id,
+      template: template.ref,
+      turns: session.turns.length,
+      answer: reportText,
+      report: model,
+      timestamp: ts,
+      regNo,
+      reportId: stored?.id || null,
+      documents: downloadLinks(stored),
+      delivery,
+    });
+  } catch (err) {
+    console.error("❌ Final documents failed:", err);
+    res.status(500).json({ error: "Final documents failed" });
+  }
+});
+
+/* --------------------------------------------------------------------- */
+/* /ASSESS ROUTE (guided risk assessment)                                */
+/* --------------------------------------------------------------------- */
+// Body: { activity, hazards[], peopleAtRisk[], existingControls[], location?,
+//         organisation?, email?, managerEmail?, clientEmail? }. Lists may also be sent as
+// newline-separated text. Same documents, email and storage as /ask.
+
+app.post("/assess", reportLimits, async (req, res) => {
+  const org = req.auth.org;
+  if (!allowsDomain(org, hsDomain().id))
+    return res.status(403).json({ error: `The ${hsDomain().id} domain is not enabled for this organisation` });
+  const { email, managerEmail, clientEmail } = requestRecipients(req.body, org);
+  const input = normaliseAssessmentInput(req.body);
+  const inputErrors = validateAssessmentInput(input);
+  if (inputErrors.length)
+    return res.status(400).json({ error: "Invalid risk assessment request", details: inputErrors });
 
   try {
     const ts = new Date().toISOString();
-    const reportText = await generateHSReport(question);
-    const pdfBuf = await buildPdf({ fullName: email, ts, question, reportText });
-
-    const cleanedText = (reportText || "")
-      .replace(/\*\*/g, "")
-      .replace(/\*/g, "")
-      .replace(/^#+\s*/gm, "");
-
-    const lines = cleanedText
-      .replace(/\n{2,}/g, "\n")   // collapse double newlines → single
-      .split(/\n/);
-
-    const docParagraphs = [];
-
-    /* TITLE */
-    docParagraphs.push(
-      new Paragraph({
-        alignment: "center",
-        spacing: { after: 200 },
-        children: [
-          new TextRun({
-            text: "HEALTH & SAFETY ASSISTANT REPORT",
-            bold: true,
-            size: 32,
-            color: "4e65ac"
-          })
-        ]
+    const { question, model, assessment, register, reportText, sources, regNo, template } = await metered(orgId(req), () =>
+      generateRiskAssessment(input, {
+        vars: templateVars(req.body.organisation || org?.name, ts),
+        meta: { generated: ts, preparedFor: email },
       })
     );
+    const integrity = signReport({ regNo, reportText });
+    const pdfBuf = await buildPdf({ model, integrity });
+    const docBuf = await buildDocx({ model });
+
+    const stored = await persistReport({
+      kind: "risk-assessment",
+      org: orgId(req),
+      domain: hsDomain().id,
+      template,
+      question, model, structured: assessment, register, reportText, ts, regNo, sources, pdfBuf, docBuf,
+      email, managerEmail, clientEmail,
+    });
+    const delivery = await deliverReport({
+      stored, ts, org, model, reportText, pdfBuf, docBuf, email, managerEmail, clientEmail, subject: "Your Risk Assessment",
+    });
+
+    res.json({
+      activity: input.activity,
+      template,
+      answer: reportText,
+      report: model,
+      structured: assessment,
+      register,
+      sources,
+      timestamp: ts,
+      regNo,
+      reportId: stored?.id || null,
+      documents: downloadLinks(stored),
+      delivery,
+    });
+  } catch (err) {
+    console.error("❌ Risk assessment failed:", err);
+    res.status(500).json({ error: "Risk assessment failed" });
+  }
+});
+
+/* --------------------------------------------------------------------- */
+/* /COSHH ROUTE (substance assessment)                                   */
+/* --------------------------------------------------------------------- */
+// Body: { substance, hazardStatements[] and/or sdsExtract, quantity,
+//         routes[], frequency, cas?, task?, location?, organisation?,
+//         email?, managerEmail?, clientEmail? }. GET lists the accepted routes, the
+// hazard statement codes and the local EH40 table. Same documents, email
+// and storage as /ask.
+
+app.get("/coshh", (req, res) =>
+  res.json({
+    routes: ROUTES,
+    hazardStatements: Object.fromEntries(Object.entries(HAZARD_STATEMENTS).map(([k, h]) => [k, h.text])),
+    wels: { edition: EH40_EDITION, substances: WELS },
+  })
+);
+
+app.post("/coshh", reportLimits, async (req, res) => {
+  const org = req.auth.org;
+  if (!allowsDomain(org, hsDomain().id))
+    return res.status(403).json({ error: `The ${hsDomain().id} domain is not enabled for this organisation` });
+  const { email, managerEmail, clientEmail } = requestRecipients(req.body, org);
+  const input = normaliseCoshhInput(req.body);
+  const inputErrors = validateCoshhInput(input);
+  if (inputErrors.length)
+    return res.status(400).json({ error: "Invalid COSHH assessment request", details: inputErrors });
 
-    /* TIMESTAMP */
-    docParagraphs.push(
-      new Paragraph({
-        alignment: "center",
-        spacing: { after: 300 },
-        children: [
-          new TextRun({
-            text: `Generated ${ts}`,
-            bold: true,
-            size: 24,
-            color: "4e65ac"
-          })
-        ]
+  try {
+    const ts = new Date().toISOString();
+    const { question, model, assessment, facts, reportText, sources, regNo, template } = await metered(orgId(req), () =>
+      generateCoshhAssessment(input, {
+        vars: templateVars(req.body.organisation || org?.name, ts),
+        meta: { generated: ts, preparedFor: email },
       })
     );
+    const integrity = signReport({ regNo, reportText });
+    const pdfBuf = await buildPdf({ model, integrity });
+    const docBuf = await buildDocx({ model });
 
-    /* BODY LOOP */
-    for (const raw of lines) {
-      let t = raw.trim();
-      if (!t) {
-        docParagraphs.push(new Paragraph(""));
-        continue;
-      }
-
-      /* NUMBERED HEADINGS — 28pt BLUE (with outline disabled) */
-      if (/^\d+\.\s+/.test(t)) {
-        docParagraphs.push(
-          new Paragraph({
-            outlineLevel: undefined,   // disable Word auto-outline
-            numbering: undefined,
-            spacing: { before: 200, after: 120 },
-            children: [
-              new TextRun({
-                text: t,
-                bold: true,
-                size: 28,
-                color: "4e65ac"
-              })
-            ]
-          })
-        );
-        continue;
-      }
-
-      /* SUBHEADINGS — also 28pt BLUE */
-      if (/^[A-Z][A-Za-z\s]+:?$/.test(t)) {
-        docParagraphs.push(
-          new Paragraph({
-            outlineLevel: undefined,
-            numbering: undefined,
-            spacing: { before: 120, after: 80 },
-            children: [
-              new TextRun({
-                text: t.replace(/:$/, ""),
-                bold: true,
-                size: 28,
-                color: "4e65ac"
-              })
-            ]
-          })
-        );
-        continue;
-      }
-
-      /* BULLETS */
-      if (/^[-•]/.test(t)) {
-        const bulletText = t.replace(/^[-•]\s*/, "• ");
-        docParagraphs.push(
-          new Paragraph({
-            spacing: { after: 60 },
-            indent: { left: 680, hanging: 360 },
-            children: [
-              new TextRun({
-                text: bulletText,
-                size: 22
-              })
-            ]
-          })
-        );
-        continue;
-      }
-
-      /* NORMAL PARAGRAPH */
-      docParagraphs.push(
-        new Paragraph({
-          spacing: { after: 120 },
-          children: [
-            new TextRun({
-              text: t,
-              size: 22
-            })
-          ]
-        })
-      );
-    }
+    const stored = await persistReport({
+      kind: "coshh",
+      org: orgId(req),
+      domain: hsDomain().id,
+      template,
+      question, model, structured: assessment, coshh: facts, reportText, ts, regNo, sources, pdfBuf, docBuf,
+      email, managerEmail, clientEmail,
+    });
+    const delivery = await deliverReport({
+      stored, ts, org, model, reportText, pdfBuf, docBuf, email, managerEmail, clientEmail, subject: "Your COSHH Assessment",
+    });
 
-   
-
-    const doc = new Document({ sections: [{ children: docParagraphs }] });
-    const docBuf =
-      await Packer.toBuffer(doc);
-
-    /* EMAIL */
-    await fetch("https://api.mailjet.com/v3.1/send", {
-      method: "POST",
-      headers: {
-        Authorization:
-          "Basic " +
-          Buffer.from(
-            `${process.env.MJ_APIKEY_PUBLIC}:${process.env.MJ_APIKEY_PRIVATE}`
-          ).toString("base64"),
-        "Content-Type": "application/json"
-      },
-      body: JSON.stringify({
-        Messages: [
-          {
-            From: { Email: "noreply@securemaildrop.uk", Name: "Secure Maildrop" },
-            To: [
-              email && { Email: email },
-              managerEmail && { Email: managerEmail },
-              clientEmail && { Email: clientEmail }
-            ].filter(Boolean),
-            Subject: "Your Health & Safety Report",
-            TextPart: reportText,
-            Attachments: [
-              {
-                ContentType: "application/pdf",
-                Filename: `hs-${ts}.pdf`,
-                Base64Content: pdfBuf.toString("base64")
-              },
-              {
-                ContentType:
-                  "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
-                Filename: `hs-${ts}.docx`,
-                Base64Content: docBuf.toString("base64")
-              }
-            ]
-          }
-        ]
+    res.json({
+      substance: input.substance,
+      template,
+      answer: reportText,
+      report: model,
+      structured: assessment,
+      ...facts,
+      sources,
+      timestamp: ts,
+      regNo,
+      reportId: stored?.id || null,
+      documents: downloadLinks(stored),
+      delivery,
+    });
+  } catch (err) {
+    console.error("❌ COSHH assessment failed:", err);
+    res.status(500).json({ error: "COSHH assessment failed" });
+  }
+});
+
+/* --------------------------------------------------------------------- */
+/* DOMAINS                                                               */
+/* --------------------------------------------------------------------- */
+// The knowledge domains /ask accepts as `domain`, and whether each index
+// is in memory yet.
+
+app.get("/domains", (req, res) => res.json({ domains: listDomains() }));
+
+/* --------------------------------------------------------------------- */
+/* ADMIN: PROMPT TEMPLATES                                               */
+/* --------------------------------------------------------------------- */
+// List, inspect and preview the templates in prompts/, and reload them
+// after an edit. `:version` is "v2" or "latest". A preview renders every
+// part with the variables in the body ({ variables: { question, … } });
+// the rest show as «name» and are listed in `missing`.
+
+const findTemplate = (id, version) => getTemplate(id, version === "latest" ? null : version);
+
+app.get("/admin/templates", verifyAdmin, (req, res) =>
+  res.json({ templates: listTemplates(), domains: listDomains().map(({ id, template }) => ({ id, template })) })
+);
+
+app.get("/admin/templates/:id/:version", verifyAdmin, (req, res) => {
+  const template = findTemplate(req.params.id, req.params.version);
+  if (!template) return res.status(404).json({ error: "Unknown template" });
+  res.json(template);
+});
+
+app.post("/admin/templates/:id/:version/preview", verifyAdmin, (req, res) => {
+  const template = findTemplate(req.params.id, req.params.version);
+  if (!template) return res.status(404).json({ error: "Unknown template" });
+
+  const given = { ...templateVars(req.body.variables?.organisation, new Date().toISOString()), ...req.body.variables };
+  const missing = new Set();
+  const variables = Object.fromEntries(
+    Object.values(template.variables)
+      .flat()
+      .map((name) => {
+        if (given[name] != null) return [name, given[name]];
+        missing.add(name);
+        return [name, `«${name}»`];
       })
+  );
+  res.json({
+    ref: template.ref,
+    parts: Object.fromEntries(Object.keys(template.parts).map((p) => [p, renderTemplate(template, p, variables)])),
+    footer: renderFooter(template, variables),
+    missing: [...missing],
+  });
+});
+
+app.post("/admin/templates/reload", verifyAdmin, (req, res) => {
+  try {
+    res.json({ templates: reloadTemplates() });
+  } catch (err) {
+    console.error("❌ Template reload failed:", err.message);
+    res.status(400).json({ error: "Template reload failed; the previous templates stay in use", details: [err.message] });
+  }
+});
+
+/* --------------------------------------------------------------------- */
+/* ADMIN: DEAD-LETTER JOBS                                               */
+/* --------------------------------------------------------------------- */
+// GET lists jobs by status (default "dead"), with what they were queued
+// with but without their results. Replay resumes a dead job at the step
+// that failed.
+
+app.get("/admin/jobs", verifyAdmin, async (req, res) => {
+  try {
+    const jobs = (await listJobs({ status: req.query.status || "dead" })).map((j) => {
+      const { result, ...job } = summariseJob(j);
+      return { ...job, payload: j.payload };
+    });
+    res.json({ jobs });
+  } catch (err) {
+    console.error("❌ Job listing failed:", err.message);
+    res.status(500).json({ error: "Jobs could not be listed" });
+  }
+});
+
+app.post("/admin/jobs/:id/replay", verifyAdmin, async (req, res) => {
+  try {
+    const job = await getJob(req.params.id);
+    if (!job) return res.status(404).json({ error: "Unknown job" });
+    if (job.status !== "dead") return res.status(409).json({ error: `Job is ${job.status}, not dead` });
+    res.json(summariseJob(await replayJob(job.id)));
+  } catch (err) {
+    console.error("❌ Job replay failed:", err.message);
+    res.status(500).json({ error: "Job replay failed" });
+  }
+});
+
+/* --------------------------------------------------------------------- */
+/* USAGE                                                                 */
+/* --------------------------------------------------------------------- */
+// ?month=YYYY-MM (default: this month, UTC). GET /usage is the API key's
+// organisation: reports stored, emails sent and model tokens used, with its
+// quota and rate limit. The admin view lists every organisation and the
+// shared page.
+
+const usageView = (usage, quota, month) => ({
+  ...usage,
+  monthlyReports: quota,
+  remainingReports: quota == null ? null : Math.max(0, quota - usage.reports),
+  resetsAt: month === currentMonth() ? nextMonthStart().toISOString() : null,
+});
+
+function usageMonth(req, res) {
+  const month = req.query.month || currentMonth();
+  if (!isMonth(month)) {
+    res.status(400).json({ error: "month must be YYYY-MM" });
+    return null;
+  }
+  return month;
+}
+
+app.get("/usage", requireApiKey, async (req, res) => {
+  const month = usageMonth(req, res);
+  if (!month) return;
+  try {
+    res.json({
+      organisation: orgId(req),
+      month,
+      ...usageView(await getUsage(orgId(req), month), monthlyQuota(req.auth.org), month),
+      rateLimit: { ...callerLimit(req.auth), per: "key" },
     });
+  } catch (err) {
+    console.error("❌ Usage lookup failed:", err.message);
+    res.status(500).json({ error: "Usage could not be loaded" });
+  }
+});
+
+app.get("/admin/usage", verifyAdmin, async (req, res) => {
+  const month = usageMonth(req, res);
+  if (!month) return;
+  try {
+    const { [SHARED]: shared = emptyUsage(), ...byOrg } = await listUsage(month);
+    // Configured organisations with no usage yet show zeros; removed ones
+    // that had usage that month are still listed.
+    for (const org of listOrganisations()) byOrg[org.id] ||= emptyUsage();
+    const organisations = Object.fromEntries(
+      Object.entries(byOrg).map(([id, usage]) => [id, usageView(usage, getOrganisation(id)?.monthlyReports ?? null, month)])
+    );
+    res.json({ month, organisations, shared: usageView(shared, SHARED_MONTHLY_REPORTS, month) });
+  } catch (err) {
+    console.error("❌ Usage listing failed:", err.message);
+    res.status(500).json({ error: "Usage could not be loaded" });
+  }
+});
+
+/* --------------------------------------------------------------------- */
+/* RIDDOR DECISION HELPER                                                */
+/* --------------------------------------------------------------------- */
+// Rules-based (riddor.js), no model call. GET lists the accepted codes;
+// POST takes the incident facts and returns category, responsible person,
+// deadline and regulation references. /ask accepts the same object as
+// `incident`.
+
+app.get("/riddor", (req, res) =>
+  res.json({
+    personTypes: PERSON_TYPES,
+    specifiedInjuries: SPECIFIED_INJURIES,
+    diseases: Object.fromEntries(Object.entries(DISEASES).map(([k, d]) => [k, d.label])),
+    dangerousOccurrences: DANGEROUS_OCCURRENCES,
+  })
+);
+
+app.post("/riddor", authenticate, (req, res) => {
+  const errors = validateIncident(req.body);
+  if (errors.length) return res.status(400).json({ error: "Invalid incident", details: errors });
+  res.json(assessRiddor(req.body));
+});
+
+/* --------------------------------------------------------------------- */
+/* REPORT RETRIEVAL                                                      */
+/* --------------------------------------------------------------------- */
+// Listing and detail (which include requester emails) need an API key and
+// show only its organisation's reports. The detail carries fresh signed
+// download links, which the document downloads need (see DOWNLOAD LINKS).
+
+app.get("/reports", requireApiKey, async (req, res) => {
+  const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+  const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 20));
+  try {
+    res.json(await listReports({ page, limit, org: orgId(req) }));
+  } catch (err) {
+    console.error("❌ Report listing failed:", err.message);
+    res.status(500).json({ error: "Report listing failed" });
+  }
+});
+
+app.get("/reports/:id.:ext(pdf|docx)", verifyDownloadLink, async (req, res) => {
+  try {
+    const buf = await getReportFile(req.params.id, req.params.ext);
+    if (!buf) return res.status(404).json({ error: "Report not found" });
+
+    const report = await getReport(req.params.id);
+    res.set("Content-Type", REPORT_FILES[req.params.ext].type);
+    res.set("Content-Disposition", `attachment; filename="hs-${report?.timestamp || req.params.id}.${req.params.ext}"`);
+    res.send(buf);
+  } catch (err) {
+    console.error("❌ Report download failed:", err.message);
+    res.status(500).json({ error: "Report download failed" });
+  }
+});
 
-    res.json({ question, answer: reportText, timestamp: ts });
+app.get("/reports/:id", requireApiKey, async (req, res) => {
+  try {
+    const report = await getReport(req.params.id);
+    if (!report || !ownedBy(report, req)) return res.status(404).json({ error: "Report not found" });
+    res.json({ ...report, files: downloadLinks(report) });
+  } catch (err) {
+    console.error("❌ Report lookup failed:", err.message);
+    res.status(500).json({ error: "Report lookup failed" });
+  }
+});
+
+/* --------------------------------------------------------------------- */
+/* REGISTRATION NUMBER VERIFICATION                                      */
+/* --------------------------------------------------------------------- */
+// Public: lets a recipient confirm a Reg. No. or a PDF was issued by this
+// service. The Reg. No. contains slashes, so accept it URL-encoded or as-is.
+
+app.get("/verify/public-key", (req, res) => res.json(getPublicKey()));
+
+// Body is the PDF itself (Content-Type: application/pdf).
+app.post(
+  "/verify/pdf",
+  express.raw({ type: ["application/pdf", "application/octet-stream"], limit: "20mb" }),
+  async (req, res) => {
+    if (!Buffer.isBuffer(req.body) || !req.body.length)
+      return res.status(400).json({ error: "Send the PDF as the request body (Content-Type: application/pdf)" });
+
+    try {
+      res.json(await verifyReportPdf(req.body));
+    } catch (err) {
+      console.error("❌ PDF verification failed:", err.message);
+      res.status(500).json({ error: "Verification failed" });
+    }
+  }
+);
+
+app.get("/verify/*", async (req, res) => {
+  const regNo = String(req.params[0] || "").trim();
+  if (!regNo) return res.status(400).json({ error: "Missing registration number" });
+
+  try {
+    const entry = await verifyRegNo(regNo);
+    if (!entry) return res.status(404).json({ valid: false, regNo });
+    res.json({ valid: true, ...entry });
   } catch (err) {
-    console.error("❌ Report failed:", err);
-    res.status(500).json({ error: "Report generation failed" });
+    console.error("❌ Reg. No. verification failed:", err.message);
+    res.status(500).json({ error: "Verification failed" });
   }
 });
 
@@ -0,0 +1,106 @@
+// session_store.js — conversation sessions (file based)
+// ISO Timestamp: 🕒 2026-10-19T19:22:39Z
+// A session is the thread of /ask turns that refine one report: the first
+// question, then follow-ups ("what if the worker is an agency temp?"). Each
+// turn keeps the structured report it produced, so the next turn can refine
+// it instead of starting over, and the final documents can be rebuilt from
+// the latest one.
+//
+//   <SESSION_STORE_DIR>/<id>.json
+//   {
+//     id, createdAt, updatedAt,
+//     org,                               owning organisation id, null for the shared page
+//     domain,                            knowledge domain id (domains.js)
+//     incident,                          RIDDOR facts (riddor.js), latest supplied
+//     turns: [ { question, timestamp, regNo, reportId, template, organisation, structured, riddor, sources } ],
+//     final: { regNo, reportId, timestamp } | null
+//   }
+
+import fs from "fs";
+import path from "path";
+import { writeAtomic, createQueue } from "./file_store.js";
+import crypto from "crypto";
+
+const STORE_DIR = process.env.SESSION_STORE_DIR || "/mnt/data/sessions";
+const ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+export const MAX_TURNS = Number(process.env.SESSION_MAX_TURNS) || 20;
+
+export const isSessionId = (id) => ID_PATTERN.test(String(id));
+
+/* ---------------------------------------------------------------------- */
+/*  HELPERS                                                               */
+/* ---------------------------------------------------------------------- */
+// Serialises read-modify-write steps so concurrent turns cannot lose one
+// another's updates.
+const exclusive = createQueue();
+
+const sessionFile = (id) => path.join(STORE_DIR, `${id}.json`);
+
+async function save(session) {
+  await fs.promises.mkdir(STORE_DIR, { recursive: true });
+  await writeAtomic(sessionFile(session.id), JSON.stringify(session, null, 2));
+  return session;
+}
+
+/* ---------------------------------------------------------------------- */
+/*  READ / WRITE                                                          */
+/* ---------------------------------------------------------------------- */
+// Null when the ID is malformed or unknown.
+export async function getSession(id) {
+  if (!isSessionId(id)) return null;
+  try {
+    return JSON.parse(await fs.promises.readFile(sessionFile(id), "utf8"));
+  } catch (err) {
+    if (err.code === "ENOENT") return null;
+    throw err;
+  }
+}
+
+export function createSession({ domain = null, org = null, incident = null } = {}) {
+  const now = new Date().toISOString();
+  return exclusive(() =>
+    save({ id: crypto.randomUUID(), createdAt: now, updatedAt: now, org, domain, incident, turns: [], final: null })
+  );
+}
+
+// Appends a completed turn; a turn's `incident`, when given, replaces the
+// session's.
+export function addTurn(id, { incident, ...turn }) {
+  return exclusive(async () => {
+    const session = await getSession(id);
+    if (!session) throw new Error(`Unknown session ${id}`);
+    if (incident) session.incident = incident;
+    session.turns.push(turn);
+    session.updatedAt = turn.timestamp;
+    return save(session);
+  });
+}
+
+export function setFinal(id, final) {
+  return exclusive(async () => {
+    const session = await getSession(id);
+    if (!session) throw new Error(`Unknown session ${id}`);
+    session.final = final;
+    session.updatedAt = final.timestamp;
+    return save(session);
+  });
+}
+
+// The public view: the thread without the stored report bodies.
+export const summariseSession = (s) => ({
+  id: s.id,
+  org: s.org || null,
+  domain: s.domain || null,
+  createdAt: s.createdAt,
+  updatedAt: s.updatedAt,
+  turns: s.turns.map((t, i) => ({
+    turn: i + 1,
+    question: t.question,
+    timestamp: t.timestamp,
+    regNo: t.regNo,
+    reportId: t.reportId,
+    template: t.template || null,
+  })),
+  final: s.final,
+});
@@ -0,0 +1,164 @@
+// signing.js — Ed25519 report signatures + PDF verification
+// ISO Timestamp: 🕒 2026-10-19T19:21:31Z
+// Each report's text is hashed (SHA-256) and the hash is signed together
+// with its registration number using the server's Ed25519 key. buildPdf()
+// embeds the result in the PDF keywords and a visible footer line, and
+// verifyReportPdf() checks an uploaded PDF against the signature and the
+// report store.
+//
+// Key: REPORT_SIGNING_KEY (PKCS#8 PEM) or the file REPORT_SIGNING_KEY_FILE
+// (default /mnt/data/keys/report_signing.pem), created on first use.
+//
+// CLI:  node signing.js <report.pdf>
+
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { fileURLToPath } from "url";
+import { PDFDocument } from "pdf-lib";
+import { hashReport, verifyRegNo } from "./report_store.js";
+
+const KEY_FILE = process.env.REPORT_SIGNING_KEY_FILE || "/mnt/data/keys/report_signing.pem";
+
+/* ---------------------------------------------------------------------- */
+/*  KEY                                                                   */
+/* ---------------------------------------------------------------------- */
+let signingKey = null;
+
+function loadSigningKey() {
+  if (signingKey) return signingKey;
+
+  let pem = process.env.REPORT_SIGNING_KEY;
+  if (!pem && fs.existsSync(KEY_FILE)) pem = fs.readFileSync(KEY_FILE, "utf8");
+
+  let privateKey;
+  if (pem) {
+    privateKey = crypto.createPrivateKey(pem.replace(/\\n/g, "\n"));
+  } else {
+    ({ privateKey } = crypto.generateKeyPairSync("ed25519"));
+    fs.mkdirSync(path.dirname(KEY_FILE), { recursive: true });
+    fs.writeFileSync(KEY_FILE, privateKey.export({ type: "pkcs8", format: "pem" }), { mode: 0o600 });
+    console.log("🔑 Generated report signing key:", KEY_FILE);
+  }
+
+  const publicKey = crypto.createPublicKey(privateKey);
+  const der = publicKey.export({ type: "spki", format: "der" });
+  signingKey = {
+    privateKey,
+    publicKey,
+    keyId: crypto.createHash("sha256").update(der).digest("hex").slice(0, 16),
+  };
+  return signingKey;
+}
+
+export function getPublicKey() {
+  const { publicKey, keyId } = loadSigningKey();
+  return { keyId, algorithm: "Ed25519", pem: publicKey.export({ type: "spki", format: "pem" }) };
+}
+
+/* ---------------------------------------------------------------------- */
+/*  SIGN / VERIFY                                                         */
+/* ---------------------------------------------------------------------- */
+// The signed message binds the registration number to the content hash.
+const signedMessage = (regNo, hash) => Buffer.from(`${regNo}\n${hash}`, "utf8");
+
+export function signReport({ regNo, reportText }) {
+  const { privateKey, keyId } = loadSigningKey();
+  const hash = hashReport(reportText);
+  const signature = crypto.sign(null, signedMessage(regNo, hash), privateKey).toString("base64");
+  return { regNo, hash, signature, keyId };
+}
+
+export function verifySignature({ regNo, hash, signature }) {
+  const { publicKey } = loadSigningKey();
+  try {
+    return crypto.verify(null, signedMessage(regNo, hash), publicKey, Buffer.from(signature, "base64"));
+  } catch {
+    return false;
+  }
+}
+
+/* ---------------------------------------------------------------------- */
+/*  PDF METADATA                                                          */
+/* ---------------------------------------------------------------------- */
+// Stored as PDF keywords ("aivs-sha256:<hex>" …) so only public pdf-lib
+// APIs are needed to write and read them.
+export function integrityKeywords({ regNo, hash, signature, keyId }) {
+  return [
+    `aivs-regno:${regNo}`,
+    `aivs-sha256:${hash}`,
+    `aivs-signature:${signature}`,
+    `aivs-key:${keyId}`,
+  ];
+}
+
+function parseIntegrityKeywords(keywords = "") {
+  const out = {};
+  for (const kw of keywords.split(/\s+/)) {
+    const m = kw.match(/^aivs-(regno|sha256|signature|key):(.+)$/);
+    if (m) out[m[1]] = m[2];
+  }
+  return out.sha256 && out.signature && out.regno
+    ? { regNo: out.regno, hash: out.sha256, signature: out.signature, keyId: out.key || null }
+    : null;
+}
+
+/* ---------------------------------------------------------------------- */
+/*  VERIFY AN UPLOADED PDF                                                */
+/* ---------------------------------------------------------------------- */
+// valid only if: the embedded signature checks out with this server's key,
+// the Reg. No. was issued with that same content hash, and the file is
+// byte-for-byte the PDF that was issued (any edit changes its SHA-256).
+export async function verifyReportPdf(buf) {
+  let keywords;
+  try {
+    const pdf = await PDFDocument.load(buf, { updateMetadata: false });
+    keywords = pdf.getKeywords();
+  } catch (err) {
+    return { valid: false, reason: `Not a readable PDF: ${err.message}` };
+  }
+
+  const embedded = parseIntegrityKeywords(keywords);
+  if (!embedded) return { valid: false, reason: "No AIVS integrity data in this PDF" };
+
+  const signatureValid = verifySignature(embedded);
+  const issued = await verifyRegNo(embedded.regNo);
+  const hashMatches = Boolean(issued?.hash) && issued.hash === embedded.hash;
+  const pdfHash = crypto.createHash("sha256").update(buf).digest("hex");
+  const fileMatches = Boolean(issued?.pdfHash) && issued.pdfHash === pdfHash;
+
+  const valid = signatureValid && hashMatches && fileMatches;
+  return {
+    valid,
+    reason: valid
+      ? "PDF matches an issued report"
+      : !signatureValid
+        ? "Signature does not verify with this server's key"
+        : !issued
+          ? "Registration number was not issued by this server"
+          : !hashMatches
+            ? "Content hash does not match the issued report"
+            : "PDF file has been modified since it was issued",
+    regNo: embedded.regNo,
+    hash: embedded.hash,
+    keyId: embedded.keyId,
+    signatureValid,
+    hashMatches,
+    fileMatches,
+    issuedAt: issued?.issuedAt || null,
+  };
+}
+
+/* ---------------------------------------------------------------------- */
+/*  CLI                                                                   */
+/* ---------------------------------------------------------------------- */
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const file = process.argv[2];
+  if (!file) {
+    console.error("Usage: node signing.js <report.pdf>");
+    process.exit(2);
+  }
+  const result = await verifyReportPdf(await fs.promises.readFile(file));
+  console.log(JSON.stringify(result, null, 2));
+  process.exit(result.valid ? 0 : 1);
+}
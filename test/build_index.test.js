@@ -0,0 +1,57 @@
+// build_index.test.js — incremental index builds (build_index.js)
+
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { Document, Packer, Paragraph } from "docx";
+import { buildIndex } from "../build_index.js";
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), "index-test-"));
+const source = path.join(tmp, "source");
+const out = path.join(tmp, "out");
+after(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+// Another vector space: three dimensions instead of the local embedder's.
+const otherEmbedder = path.join(tmp, "other_embedder.js");
+fs.writeFileSync(otherEmbedder, "export const embed = (texts) => texts.map((t) => [t.length, 1, 0]);\n");
+
+const build = (embedder = "local") => buildIndex({ source, out, embedder, chunkSize: 1200, overlap: 200 });
+const rows = () =>
+  fs.readFileSync(path.join(out, "vector.index"), "utf8").trim().split("\n").map((line) => JSON.parse(line));
+
+async function writeDocx(file, text) {
+  const doc = new Document({ sections: [{ children: [new Paragraph(text)] }] });
+  fs.writeFileSync(file, await Packer.toBuffer(doc));
+}
+
+test("embeddings are reused only from the same embedder", async () => {
+  fs.mkdirSync(source, { recursive: true });
+  fs.writeFileSync(path.join(source, "ladders.md"), "# Ladders\n\nInspect a ladder before each use.\n");
+  await writeDocx(path.join(source, "scaffolds.docx"), "Scaffolds must be inspected by a competent person.");
+
+  const first = await build();
+  assert.equal(first.failed, 0);
+  assert.ok(rows().every((r) => r.embedder.startsWith("local:")));
+
+  const again = await build();
+  assert.equal(again.unchanged, 2);
+  assert.equal(again.embedded, 0);
+
+  const switched = await build(otherEmbedder);
+  assert.equal(switched.unchanged, 0);
+  assert.equal(switched.reused, 0);
+  assert.equal(switched.embedded, first.chunks);
+  assert.ok(rows().every((r) => r.embedder === otherEmbedder && r.embedding.length === 3));
+});
+
+test("a document that no longer extracts keeps its previous chunks", async () => {
+  const before = rows().filter((r) => r.file === "scaffolds.docx");
+  assert.ok(before.length > 0);
+  fs.writeFileSync(path.join(source, "scaffolds.docx"), "not a Word document any more");
+
+  const result = await build(otherEmbedder);
+  assert.equal(result.failed, 1);
+  assert.deepEqual(rows().filter((r) => r.file === "scaffolds.docx"), before);
+});
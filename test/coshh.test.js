@@ -0,0 +1,71 @@
+// coshh.test.js — COSHH classification and EH40 limits (coshh.js, eh40.js)
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { normaliseCoshhInput, validateCoshhInput, classifySubstance, coshhFacts } from "../coshh.js";
+import { isCasNumber, extractCasNumbers, findWels, formatLimit } from "../eh40.js";
+
+const toluene = {
+  substance: "Toluene",
+  hazardStatements: "H225 Highly flammable liquid and vapour\nH315 Causes skin irritation\nH361d",
+  sdsExtract: "CAS No. 108-88-3",
+  quantity: "5 litres per day",
+  routes: "inhalation; skin",
+  frequency: "Daily",
+};
+
+test("CAS numbers are checked against their check digit", () => {
+  assert.equal(isCasNumber("108-88-3"), true);
+  assert.equal(isCasNumber("108-88-4"), false);
+  assert.equal(isCasNumber("10888-3"), false);
+  assert.deepEqual(extractCasNumbers("108-88-3, 108-88-4 and 67-64-1"), ["108-88-3", "67-64-1"]);
+});
+
+test("findWels matches on CAS number, name or alias as whole words", () => {
+  const [byCas] = findWels({ cas: ["108-88-3"] });
+  assert.equal(byCas.substance, "Toluene");
+  assert.equal(formatLimit(byCas.ltel), "50 ppm, 191 mg/m³");
+  assert.equal(formatLimit(byCas.stel), "100 ppm, 384 mg/m³");
+  assert.deepEqual(byCas.notations, ["Sk"]);
+
+  assert.equal(findWels({ substance: "MEK thinners" })[0].substance, "Butan-2-one");
+  assert.deepEqual(findWels({ substance: "Acetonewash" }), []);
+  assert.equal(formatLimit(null), "—");
+});
+
+test("normaliseCoshhInput reads codes and CAS numbers from the free text", () => {
+  const input = normaliseCoshhInput(toluene);
+  assert.deepEqual(input.hazardCodes, ["H225", "H315", "H361d"]);
+  assert.deepEqual(input.cas, ["108-88-3"]);
+  assert.deepEqual(input.routes, ["inhalation", "skin"]);
+  assert.deepEqual(validateCoshhInput(input), []);
+});
+
+test("validateCoshhInput lists missing fields and unknown routes", () => {
+  const errors = validateCoshhInput(normaliseCoshhInput({ routes: "inhalation, mouth" }));
+  assert.ok(errors.includes("substance is required"));
+  assert.ok(errors.includes("hazardStatements or sdsExtract is required"));
+  assert.ok(errors.includes('routes: unknown route "mouth"'));
+});
+
+test("classifySubstance falls back to the base code and flags unknown codes", () => {
+  const [reprotox, unknown] = classifySubstance({ hazardCodes: ["H361d", "H999"] });
+  assert.equal(reprotox.known, true);
+  assert.equal(unknown.known, false);
+  assert.equal(unknown.group, "unknown");
+});
+
+test("surveillance follows the routes, hazard codes and EH40 notations", () => {
+  const { wels, surveillance } = coshhFacts(normaliseCoshhInput(toluene));
+  assert.equal(wels.length, 1);
+  assert.equal(surveillance.required, true);
+  const bases = surveillance.measures.map((m) => m.basis).join("\n");
+  assert.match(bases, /Skin irritant/);
+  assert.match(bases, /EH40 Sk notation/);
+  assert.match(bases, /reg\. 10$/m);
+  assert.match(surveillance.recordKeeping[0], /40 years/);
+
+  const inhaledOnly = coshhFacts(normaliseCoshhInput({ ...toluene, substance: "Solvent", sdsExtract: "", routes: "ingestion" }));
+  assert.equal(inhaledOnly.surveillance.required, false);
+  assert.equal(inhaledOnly.surveillance.recordKeeping.length, 1);
+});
@@ -0,0 +1,258 @@
+// e2e.test.js — the server end to end, offline
+// Builds an index from test/fixtures/hse with the local embedder and runs
+// server.js with AI_PROVIDER=local and MAIL_TRANSPORT=file, so no model
+// call or email leaves the machine. Every store lives in a temporary
+// directory that is removed afterwards.
+
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { spawn, execFileSync } from "child_process";
+import fs from "fs";
+import net from "net";
+import os from "os";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const ROOT = path.join(path.dirname(fileURLToPath(import.meta.url)), "..");
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), "e2e-"));
+const ORIGIN = "https://assistants.aivs.uk";
+
+const env = {
+  ...process.env,
+  AI_PROVIDER: "local",
+  MAIL_TRANSPORT: "file",
+  MAIL_DROP_DIR: path.join(tmp, "mail"),
+  INDEX_PATH: path.join(tmp, "index", "vector.index"),
+  METADATA_PATH: path.join(tmp, "index", "chunks_metadata.jsonl"),
+  REPORT_STORE_DIR: path.join(tmp, "reports"),
+  SESSION_STORE_DIR: path.join(tmp, "sessions"),
+  JOB_STORE_DIR: path.join(tmp, "jobs"),
+  USAGE_STORE_DIR: path.join(tmp, "usage"),
+  REPORT_SIGNING_KEY_FILE: path.join(tmp, "keys", "signing.pem"),
+  API_KEYS_FILE: path.join(tmp, "auth", "api_keys.json"),
+  ORGANISATIONS_CONFIG: path.join(tmp, "organisations.json"),
+  EMAIL_CONFIG: path.join(tmp, "email.json"),
+  DOWNLOAD_LINK_SECRET: "e2e-download-link-secret",
+  RATE_LIMIT_IP: "50/50",
+  RATE_LIMIT_KEY: "50/50",
+};
+
+const organisation = (name, extra = {}) => ({
+  name,
+  allowedDomains: [],
+  brand: "default",
+  recipients: { requester: `reports@${name.toLowerCase()}.example` },
+  domain: "health-safety",
+  ...extra,
+});
+
+let server;
+let base;
+const keys = {};
+
+const freePort = () =>
+  new Promise((resolve, reject) => {
+    const probe = net.createServer().listen(0, "127.0.0.1", () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+    probe.on("error", reject);
+  });
+
+const node = (args) => execFileSync(process.execPath, args, { cwd: ROOT, env, encoding: "utf8", timeout: 60_000 });
+
+before(async () => {
+  node(["build_index.js", path.join(ROOT, "test", "fixtures", "hse"), "--out", path.join(tmp, "index"), "--embedder", "local"]);
+  const email = JSON.parse(fs.readFileSync(path.join(ROOT, "email.json"), "utf8"));
+  email.brands.acme = { name: "Acme Safety Services", colour: "#123456", footer: [] };
+  fs.writeFileSync(env.EMAIL_CONFIG, JSON.stringify(email));
+  fs.writeFileSync(
+    env.ORGANISATIONS_CONFIG,
+    JSON.stringify({ organisations: { acme: organisation("Acme", { brand: "acme" }), capped: organisation("Capped", { monthlyReports: 1, rateLimit: "5/0.01" }) } })
+  );
+  for (const org of ["acme", "capped"]) keys[org] = node(["api_keys.js", "issue", org, "e2e"]).trim().split("\n").pop().trim();
+
+  const port = await freePort();
+  base = `http://127.0.0.1:${port}`;
+  server = spawn(process.execPath, ["server.js"], { cwd: ROOT, env: { ...env, PORT: String(port) }, stdio: ["ignore", "pipe", "pipe"] });
+  let log = "";
+  await new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`Server did not start:\n${log}`)), 30_000);
+    const read = (chunk) => {
+      log += chunk;
+      if (log.includes(`running on port ${port}`)) {
+        clearTimeout(timer);
+        resolve();
+      }
+    };
+    server.stdout.on("data", read);
+    server.stderr.on("data", read);
+    server.on("exit", (code) => reject(new Error(`Server exited with ${code}:\n${log}`)));
+  });
+});
+
+after(() => {
+  if (server && server.exitCode === null) server.kill();
+  fs.rmSync(tmp, { recursive: true, force: true });
+});
+
+const call = (method, url, { body, key, origin = ORIGIN } = {}) =>
+  fetch(base + url, {
+    method,
+    headers: {
+      ...(body ? { "Content-Type": "application/json" } : {}),
+      ...(key ? { "X-API-Key": key } : {}),
+      ...(origin ? { Origin: origin } : {}),
+    },
+    body: body && JSON.stringify(body),
+  });
+
+const json = async (res, status) => {
+  const body = await res.json();
+  assert.equal(res.status, status, JSON.stringify(body));
+  return body;
+};
+
+async function finishedJob(jobId, opts) {
+  for (let i = 0; i < 300; i++) {
+    const job = await json(await call("GET", `/jobs/${jobId}`, opts), 200);
+    if (job.status === "done") return job;
+    assert.notEqual(job.status, "dead", JSON.stringify(job.error));
+    await new Promise((resolve) => setTimeout(resolve, 200));
+  }
+  throw new Error(`Job ${jobId} did not finish`);
+}
+
+const question = "What must an employer do before work at height on a ladder?";
+let asked;
+
+test("/ask queues a report that is built, signed, stored and emailed", async () => {
+  const { jobId, statusUrl } = await json(
+    await call("POST", "/ask", { body: { question, email: "requester@example.com" } }),
+    202
+  );
+  assert.equal(statusUrl, `/jobs/${jobId}`);
+  const job = await finishedJob(jobId);
+  asked = job.result;
+  assert.match(asked.regNo, /\S/);
+  assert.ok(asked.sources.length > 0, "answers cite the fixture passages");
+
+  const mail = fs.readdirSync(env.MAIL_DROP_DIR).filter((f) => f.endsWith(".eml"));
+  assert.equal(mail.length, 1);
+  const message = fs.readFileSync(path.join(env.MAIL_DROP_DIR, mail[0]), "utf8");
+  assert.match(message, /^To: requester@example\.com$/m);
+  assert.match(message, /application\/pdf/);
+});
+
+test("documents download only through their signed links", async () => {
+  const pdf = await call("GET", asked.documents.pdf, { origin: null });
+  assert.equal(pdf.status, 200);
+  assert.equal(Buffer.from(await pdf.arrayBuffer()).subarray(0, 5).toString(), "%PDF-");
+
+  assert.equal((await call("GET", `/reports/${asked.reportId}.pdf`, { origin: null })).status, 403);
+  const tampered = asked.documents.docx.replace(/sig=./, (s) => (s.endsWith("A") ? "sig=B" : "sig=A"));
+  assert.equal((await call("GET", tampered, { origin: null })).status, 403);
+});
+
+test("a Reg. No. verifies without revealing the report", async () => {
+  const entry = await json(await call("GET", `/verify/${encodeURIComponent(asked.regNo)}`, { origin: null }), 200);
+  assert.equal(entry.valid, true);
+  assert.equal(entry.regNo, asked.regNo);
+  assert.equal(entry.reportId, undefined);
+  assert.equal((await call("GET", "/verify/NOT-A-REG-NO", { origin: null })).status, 404);
+  assert.equal((await call("GET", "/verify/%25", { origin: null })).status, 404);
+  assert.equal((await call("GET", "/verify/%E0%A4%A", { origin: null })).status, 400);
+});
+
+test("/ask/stream sends the finished report as a done event", async () => {
+  const res = await call("POST", "/ask/stream", { body: { question } });
+  assert.equal(res.status, 200);
+  const events = (await res.text()).split("\n\n").filter(Boolean);
+  const done = events.find((e) => e.startsWith("event: done"));
+  assert.ok(done, events.join("\n\n"));
+  const report = JSON.parse(done.slice(done.indexOf("data: ") + 6));
+  assert.match(report.documents.pdf, /^\/reports\/.+\.pdf\?expires=\d+&sig=/);
+});
+
+test("/assess and /coshh build their reports", async () => {
+  const assessment = await json(
+    await call("POST", "/assess", {
+      body: {
+        activity: "Replacing a light fitting from a stepladder",
+        hazards: "Fall from height\nElectric shock",
+        peopleAtRisk: "Maintenance staff",
+        existingControls: "Ladder inspected before use",
+      },
+    }),
+    200
+  );
+  assert.ok(assessment.register.length >= 2);
+
+  const coshh = await json(
+    await call("POST", "/coshh", {
+      body: {
+        substance: "Toluene",
+        hazardStatements: "H225\nH315",
+        sdsExtract: "CAS 108-88-3",
+        quantity: "1 litre",
+        routes: "inhalation, skin",
+        frequency: "Weekly",
+      },
+    }),
+    200
+  );
+  assert.match(coshh.answer, /108-88-3/);
+});
+
+test("/riddor assesses an incident and rejects an invalid one", async () => {
+  const r = await json(await call("POST", "/riddor", { body: { incidentDate: "2026-03-02", incapacitationDays: 8 } }), 200);
+  assert.equal(r.category, "over-7-day-incapacitation");
+  await json(await call("POST", "/riddor", { body: { incidentDate: "soon" } }), 400);
+});
+
+test("an API key sees only its own organisation's reports and usage", async () => {
+  const { jobId } = await json(await call("POST", "/ask", { body: { question }, key: keys.acme, origin: null }), 202);
+  await finishedJob(jobId, { key: keys.acme, origin: null });
+  await json(await call("GET", `/jobs/${jobId}`, { key: keys.capped, origin: null }), 404);
+
+  const { reports } = await json(await call("GET", "/reports", { key: keys.acme, origin: null }), 200);
+  assert.equal(reports.length, 1);
+  assert.deepEqual((await json(await call("GET", "/reports", { key: keys.capped, origin: null }), 200)).reports, []);
+  await json(await call("GET", `/reports/${asked.reportId}`, { key: keys.acme, origin: null }), 404);
+
+  await json(await call("GET", "/reports"), 401);
+  await json(await call("GET", "/usage"), 401);
+  const usage = await json(await call("GET", "/usage", { key: keys.acme, origin: null }), 200);
+  assert.equal(usage.reports, 1);
+});
+
+const emailTo = (address) =>
+  fs
+    .readdirSync(env.MAIL_DROP_DIR)
+    .map((f) => fs.readFileSync(path.join(env.MAIL_DROP_DIR, f), "utf8"))
+    .find((m) => m.includes(`To: ${address}`));
+
+test("only an API key's organisation picks the email brand", async () => {
+  const { jobId } = await json(
+    await call("POST", "/ask", { body: { question, organisation: "acme", email: "anyone@example.com" } }),
+    202
+  );
+  await finishedJob(jobId);
+  assert.doesNotMatch(emailTo("anyone@example.com"), /Acme Safety Services/);
+  assert.match(emailTo("reports@acme.example"), /Acme Safety Services/);
+});
+
+test("a used-up monthly quota answers 429 and a bad request costs nothing", async () => {
+  const opts = { key: keys.capped, origin: null };
+  const bad = await call("POST", "/ask", { ...opts, body: {} });
+  assert.equal(bad.status, 400);
+  assert.equal(bad.headers.get("X-RateLimit-Remaining"), "4");
+  const ok = await call("POST", "/ask", { ...opts, body: { question } });
+  assert.equal(ok.headers.get("X-RateLimit-Remaining"), "4", "the 400 gave its token back");
+  const { jobId } = await json(ok, 202);
+  await finishedJob(jobId, opts);
+
+  const res = await call("POST", "/ask", { ...opts, body: { question } });
+  assert.equal(res.status, 429);
+  assert.ok(Number(res.headers.get("Retry-After")) > 0);
+});
@@ -0,0 +1,90 @@
+// job_queue.test.js — job steps, retries and dead letters (job_queue.js)
+
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+// job_queue.js reads its settings when it is imported.
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "jobs-test-"));
+Object.assign(process.env, { JOB_STORE_DIR: dir, JOB_MAX_ATTEMPTS: "2", JOB_BACKOFF_MS: "20" });
+const queue = await import("../job_queue.js");
+
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+// A retry waits for the worker's next poll (1 s), so allow for a few.
+const settled = async (id) => {
+  for (let i = 0; i < 1500; i++) {
+    const job = await queue.getJob(id);
+    if (job.status === "done" || job.status === "dead") return job;
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+  throw new Error(`Job ${id} did not settle`);
+};
+
+let flaky = 0;
+let broken = true;
+queue.defineJobType("test", [
+  { name: "first", run: (payload) => ({ doubled: payload.n * 2 }) },
+  {
+    name: "flaky",
+    retry: true,
+    run: (payload, result) => {
+      if (flaky++ === 0) throw new Error("temporary");
+      return { plusOne: result.doubled + 1 };
+    },
+  },
+]);
+queue.defineJobType("broken", [
+  { name: "once", run: () => ({ once: true }) },
+  {
+    name: "fails",
+    retry: true,
+    run: () => {
+      if (broken) throw new Error("still broken");
+      return { fixed: true };
+    },
+  },
+]);
+queue.startWorker();
+
+test("enqueue rejects an unknown type", async () => {
+  await assert.rejects(queue.enqueue("nope", {}), /Unknown job type/);
+});
+
+test("a step that fails once is retried and the job finishes", async () => {
+  const { id } = await queue.enqueue("test", { n: 4 });
+  const job = await settled(id);
+  assert.equal(job.status, "done");
+  assert.deepEqual(job.result, { doubled: 8, plusOne: 9 });
+  assert.equal(flaky, 2);
+
+  const summary = queue.summariseJob(job);
+  assert.equal(summary.payload, undefined);
+  assert.deepEqual(summary.steps, [{ name: "first", done: true }, { name: "flaky", done: true }]);
+});
+
+test("a finished job is read back from disk", async () => {
+  const done = await queue.listJobs({ status: "done" });
+  assert.equal(done.length, 1);
+  assert.equal(fs.existsSync(path.join(dir, `${done[0].id}.json`)), true);
+  assert.equal(await queue.getJob("not-a-uuid"), null);
+});
+
+test("a job past JOB_MAX_ATTEMPTS goes dead and replays from the failed step", async () => {
+  const { id } = await queue.enqueue("broken", {});
+  const dead = await settled(id);
+  assert.equal(dead.status, "dead");
+  assert.equal(dead.attempts, 2);
+  assert.equal(dead.error.step, "fails");
+  assert.deepEqual((await queue.listJobs({ status: "dead" })).map((j) => j.id), [id]);
+  assert.equal(await queue.replayJob((await queue.listJobs({ status: "done" }))[0].id), null);
+
+  broken = false;
+  const replayed = await queue.replayJob(id);
+  assert.equal(replayed.replays, 1);
+  const job = await settled(id);
+  assert.equal(job.status, "done");
+  assert.deepEqual(job.result, { once: true, fixed: true });
+});
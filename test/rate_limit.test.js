@@ -0,0 +1,37 @@
+// rate_limit.test.js — token buckets (rate_limit.js)
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseLimit, createRateLimiter } from "../rate_limit.js";
+
+test("parseLimit reads <burst>/<perMinute>", () => {
+  assert.deepEqual(parseLimit("10/6"), { burst: 10, perMinute: 6 });
+  assert.deepEqual(parseLimit(" 3 / 0.5 "), { burst: 3, perMinute: 0.5 });
+  for (const bad of ["", "10", "0/6", "10/0", "ten/6", null]) assert.equal(parseLimit(bad), null);
+});
+
+test("a bucket allows a burst, then refills at the per-minute rate", (t) => {
+  t.mock.timers.enable({ apis: ["Date"], now: 0 });
+  const limiter = createRateLimiter("test");
+  const limit = { burst: 2, perMinute: 6 };
+
+  assert.deepEqual(limiter.take("a", limit), { allowed: true, remaining: 1, retryAfter: 0 });
+  assert.deepEqual(limiter.take("a", limit), { allowed: true, remaining: 0, retryAfter: 0 });
+  assert.deepEqual(limiter.take("a", limit), { allowed: false, remaining: 0, retryAfter: 10 });
+  assert.equal(limiter.take("b", limit).allowed, true, "keys have their own buckets");
+
+  t.mock.timers.tick(10_000);
+  assert.equal(limiter.take("a", limit).allowed, true);
+  assert.equal(limiter.take("a", limit).allowed, false);
+});
+
+test("refund gives a token back, up to the burst", () => {
+  const limiter = createRateLimiter("test");
+  const limit = { burst: 1, perMinute: 1 };
+  limiter.refund("unknown");
+  assert.equal(limiter.take("a", limit).allowed, true);
+  limiter.refund("a");
+  limiter.refund("a");
+  assert.equal(limiter.take("a", limit).allowed, true);
+  assert.equal(limiter.take("a", limit).allowed, false);
+});
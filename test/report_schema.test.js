@@ -0,0 +1,59 @@
+// report_schema.test.js — structured report validation (report_schema.js)
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { validateReport, parseStructuredReport, structuredSections } from "../report_schema.js";
+
+const report = () => ({
+  context: "A worker fell from a stepladder.",
+  immediateActions: ["Make the area safe"],
+  evidence: ["Photograph the ladder"],
+  riskControls: [{ hazard: "Work at height", controls: ["Use a podium step"] }],
+  reporting: { summary: "Record in the accident book.", riddorReportable: true, riddorCategory: "specified-injury", records: ["F2508"] },
+  followUp: ["Review the ladder inspection regime"],
+  references: [{ title: "Work at Height Regulations 2005", passage: 1 }, { title: "INDG401", passage: null }],
+});
+
+test("a complete report is valid", () => {
+  assert.deepEqual(validateReport(report()), { valid: true, errors: [] });
+});
+
+test("missing, unexpected and mistyped properties are reported by path", () => {
+  const value = report();
+  delete value.evidence;
+  value.extra = true;
+  value.riskControls[0].controls = "Use a podium step";
+  value.references[0].passage = 1.5;
+  const { valid, errors } = validateReport(value);
+  assert.equal(valid, false);
+  assert.ok(errors.includes("$.evidence: missing"));
+  assert.ok(errors.includes("$.extra: unexpected property"));
+  assert.ok(errors.includes("$.riskControls[0].controls: expected array, got string"));
+  assert.ok(errors.includes("$.references[0].passage: expected integer | null, got number"));
+});
+
+test("riddorCategory must be set exactly when riddorReportable is true", () => {
+  const value = report();
+  value.reporting.riddorReportable = false;
+  assert.match(validateReport(value).errors[0], /riddorCategory must be set/);
+  value.reporting.riddorCategory = null;
+  assert.equal(validateReport(value).valid, true);
+  value.reporting.riddorCategory = "sprained-wrist";
+  assert.match(validateReport(value).errors[0], /must be one of/);
+});
+
+test("parseStructuredReport tolerates a json fence and nothing else", () => {
+  const json = JSON.stringify(report());
+  assert.deepEqual(parseStructuredReport("```json\n" + json + "\n```").value, report());
+  const prose = parseStructuredReport(`Here is the report: ${json}`);
+  assert.equal(prose.value, null);
+  assert.match(prose.errors[0], /^Not valid JSON/);
+});
+
+test("structuredSections numbers the seven report sections", () => {
+  const sections = structuredSections(report());
+  assert.deepEqual(sections.map((s) => s.number), [1, 2, 3, 4, 5, 6, 7]);
+  const reporting = sections[4].blocks.map((b) => b.text).join("\n");
+  assert.match(reporting, /RIDDOR reportable: Yes \(specified injury\)/);
+  assert.deepEqual(sections[6].blocks[0].items, ["Work at Height Regulations 2005 [1]", "INDG401"]);
+});
@@ -0,0 +1,61 @@
+// riddor.test.js — RIDDOR 2013 reportability rules (riddor.js)
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { assessRiddor, validateIncident, SPECIFIED_INJURIES, DANGEROUS_OCCURRENCES } from "../riddor.js";
+
+test("validateIncident lists every bad field", () => {
+  assert.deepEqual(validateIncident(null), ["Incident must be an object"]);
+  const errors = validateIncident({ incidentDate: "yesterday", personType: "visitor", incapacitationDays: -1, died: "no" });
+  assert.equal(errors.length, 4);
+  assert.match(errors.join("\n"), /incidentDate/);
+  assert.match(errors.join("\n"), /personType/);
+});
+
+test("assessRiddor throws on an invalid incident", () => {
+  assert.throws(() => assessRiddor({}), (err) => err.details.length > 0);
+});
+
+test("a worker's death is reportable within 10 days by the employer", () => {
+  const r = assessRiddor({ incidentDate: "2026-03-02", personType: "employee", died: true });
+  assert.equal(r.reportable, true);
+  assert.equal(r.category, "death");
+  assert.equal(r.deadline.days, 10);
+  assert.equal(r.deadline.reportBy, "2026-03-12");
+  assert.match(r.responsiblePerson, /employer/);
+  assert.equal(r.recordKeeping.retainUntil, "2029-03-02");
+});
+
+test("over-7-day incapacitation has a 15-day deadline; over-3-day is record only", () => {
+  const over7 = assessRiddor({ incidentDate: "2026-03-02", incapacitationDays: 8 });
+  assert.equal(over7.category, "over-7-day-incapacitation");
+  assert.equal(over7.deadline.reportBy, "2026-03-17");
+
+  const over3 = assessRiddor({ incidentDate: "2026-03-02", incapacitationDays: 5 });
+  assert.equal(over3.reportable, false);
+  assert.equal(over3.recordKeeping.required, true);
+  assert.match(over3.notes.join(" "), /accident book/);
+});
+
+test("a non-worker is reportable only when taken to hospital", () => {
+  const stayed = assessRiddor({ incidentDate: "2026-03-02", personType: "non-worker", specifiedInjury: Object.keys(SPECIFIED_INJURIES)[0] });
+  assert.equal(stayed.reportable, false);
+  assert.match(stayed.notes.join(" "), /hospital/);
+
+  const hospital = assessRiddor({ incidentDate: "2026-03-02", personType: "non-worker", takenToHospital: true });
+  assert.equal(hospital.category, "non-worker-hospital");
+  assert.match(hospital.responsiblePerson, /control of the premises/);
+});
+
+test("nothing is reportable when the incident was not work related", () => {
+  const r = assessRiddor({ incidentDate: "2026-03-02", workRelated: false, died: true });
+  assert.equal(r.reportable, false);
+  assert.deepEqual(r.regulations, []);
+});
+
+test("a dangerous occurrence is reported by whoever controls the premises", () => {
+  const r = assessRiddor({ incidentDate: "2026-03-02", dangerousOccurrence: Object.keys(DANGEROUS_OCCURRENCES)[0] });
+  assert.equal(r.category, "dangerous-occurrence");
+  assert.match(r.responsiblePerson, /control of the premises/);
+  assert.ok(r.regulations.includes("RIDDOR 2013 reg. 7"));
+});
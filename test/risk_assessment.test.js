@@ -0,0 +1,75 @@
+// risk_assessment.test.js — 5×5 risk matrix scoring (risk_assessment.js)
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  normaliseAssessmentInput, validateAssessmentInput, validateAssessment, riskBand, buildRiskRegister, assessmentSections
+} from "../risk_assessment.js";
+
+const input = normaliseAssessmentInput({
+  activity: "Warehouse picking",
+  hazards: "Forklift traffic\nManual handling",
+  peopleAtRisk: ["Pickers"],
+  existingControls: "Walkways; Training",
+});
+
+const hazard = (overrides = {}) => ({
+  hazard: "x",
+  harm: "Crush injuries",
+  peopleAtRisk: [],
+  existingControls: ["Walkways"],
+  likelihood: 4,
+  severity: 5,
+  furtherActions: ["Barriers [1]"],
+  residualLikelihood: 2,
+  residualSeverity: 5,
+  ...overrides,
+});
+const assessment = {
+  summary: "Picking near trucks.",
+  hazards: [hazard(), hazard({ harm: "Back strain", likelihood: 3, severity: 2, residualLikelihood: 1, residualSeverity: 2 })],
+  review: "Annually.",
+  references: [{ title: "HSG76", passage: 1 }],
+};
+
+test("lists may be newline or semicolon separated text", () => {
+  assert.deepEqual(input.hazards, ["Forklift traffic", "Manual handling"]);
+  assert.deepEqual(input.existingControls, ["Walkways", "Training"]);
+  assert.deepEqual(validateAssessmentInput(input), []);
+  assert.equal(validateAssessmentInput(normaliseAssessmentInput({})).length, 3);
+});
+
+test("scores fall into the matrix bands", () => {
+  assert.equal(riskBand(1).label, "Low");
+  assert.equal(riskBand(4).label, "Low");
+  assert.equal(riskBand(5).label, "Medium");
+  assert.equal(riskBand(12).label, "High");
+  assert.equal(riskBand(16).label, "Very high");
+  assert.equal(riskBand(25).label, "Very high");
+});
+
+test("the register is scored here, keeping the input hazard names", () => {
+  const register = buildRiskRegister(input, assessment);
+  assert.equal(register[0].hazard, "Forklift traffic");
+  assert.deepEqual(register[0].peopleAtRisk, ["Pickers"]);
+  assert.deepEqual(register[0].before, { likelihood: 4, severity: 5, score: 20, band: "Very high" });
+  assert.deepEqual(register[0].after, { likelihood: 2, severity: 5, score: 10, band: "High" });
+  assert.equal(register[1].before.band, "Medium");
+});
+
+test("model output must cover every listed hazard", () => {
+  assert.equal(validateAssessment(assessment, input).valid, true);
+  const short = { ...assessment, hazards: assessment.hazards.slice(0, 1) };
+  assert.match(validateAssessment(short, input).errors[0], /expected 2 entries/);
+  const badRating = { ...assessment, hazards: [hazard({ likelihood: 6 }), assessment.hazards[1]] };
+  assert.equal(validateAssessment(badRating, input).valid, false);
+});
+
+test("the report has the register and both matrices as tables", () => {
+  const sections = assessmentSections(input, assessment, buildRiskRegister(input, assessment));
+  const tables = sections.flatMap((s) => s.blocks).filter((b) => b.type === "table");
+  assert.equal(tables.length, 3);
+  const matrix = tables.find((t) => t.rows.length === 5);
+  // Top row is likelihood 5; H1 sits at 4×5 before further action.
+  assert.match(matrix.rows[1][5].text, /H1/);
+});
@@ -0,0 +1,50 @@
+// usage.test.js — monthly usage counters behind /usage and the report quota (usage.js)
+
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+// usage.js reads USAGE_STORE_DIR when it is imported.
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "usage-test-"));
+process.env.USAGE_STORE_DIR = dir;
+const usage = await import("../usage.js");
+
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test("counters add up per organisation and are written to the month file", async () => {
+  await usage.recordUsage("acme", { reports: 1, tokens: { prompt: 100, completion: 20 } });
+  await usage.recordUsage("acme", { reports: 1, emails: 2, tokens: { embedding: 5 } });
+  await usage.recordUsage(null, { reports: 1 });
+
+  const acme = await usage.getUsage("acme");
+  assert.equal(acme.reports, 2);
+  assert.equal(acme.emails, 2);
+  assert.deepEqual(acme.tokens, { prompt: 100, completion: 20, embedding: 5 });
+  assert.equal((await usage.getUsage(null)).reports, 1);
+
+  const file = JSON.parse(fs.readFileSync(path.join(dir, `${usage.currentMonth()}.json`), "utf8"));
+  assert.deepEqual(Object.keys(file).sort(), [usage.SHARED, "acme"].sort());
+});
+
+test("an organisation or month without usage reads as zero", async () => {
+  assert.deepEqual(await usage.getUsage("nobody"), usage.emptyUsage());
+  assert.deepEqual(await usage.getUsage("acme", "2001-01"), usage.emptyUsage());
+  assert.deepEqual(await usage.listUsage("2001-01"), {});
+});
+
+test("returned counters are copies", async () => {
+  const copy = await usage.getUsage("acme");
+  copy.reports = 1000;
+  assert.equal((await usage.getUsage("acme")).reports, 2);
+});
+
+test("the quota resets at the start of the next UTC month", () => {
+  const now = new Date("2026-12-31T23:59:30Z");
+  assert.equal(usage.currentMonth(now), "2026-12");
+  assert.equal(usage.nextMonthStart(now).toISOString(), "2027-01-01T00:00:00.000Z");
+  assert.equal(usage.secondsToNextMonth(now), 30);
+  assert.equal(usage.isMonth("2026-13"), false);
+  assert.equal(usage.isMonth("2026-02"), true);
+});
@@ -0,0 +1,22 @@
+// tokenize.js — shared word tokeniser
+// ISO Timestamp: 🕒 2026-10-19T18:25:56Z
+// Used by the local embedder, the local report writer and the BM25 index,
+// so "RIDDOR", "riddor" and "Riddor" always land on the same term.
+
+const STOPWORDS = new Set(
+  "a an and are as at be by for from has have in is it its of on or that the this to was were will with".split(" ")
+);
+
+export function tokenize(text = "") {
+  return String(text)
+    .toLowerCase()
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .match(/[a-z0-9]+/g)
+    ?.filter((t) => !STOPWORDS.has(t)) || [];
+}
+
+// Unigrams plus adjacent pairs, so "regulation 7" also matches as a phrase.
+export function termsWithBigrams(tokens) {
+  return tokens.concat(tokens.slice(1).map((t, i) => `${tokens[i]}_${t}`));
+}
@@ -0,0 +1,91 @@
+// usage.js — per-organisation usage counters (file based)
+// ISO Timestamp: 🕒 2026-10-19T19:22:39Z
+// What each organisation has cost this month, for GET /usage and the
+// monthly report quota. One file per calendar month (UTC):
+//
+//   <USAGE_STORE_DIR>/<YYYY-MM>.json
+//   {
+//     "<organisation id>" | "_shared": {
+//       reports,                           reports stored
+//       emails,                            messages sent
+//       tokens: { prompt, completion, embedding },
+//       updatedAt
+//     }
+//   }
+//
+// "_shared" counts the page on allowedDomains, which has no organisation.
+// The current month is cached in memory and written through, so, like the
+// job queue, this assumes a single server process.
+
+import fs from "fs";
+import path from "path";
+import { writeAtomic, createQueue } from "./file_store.js";
+
+const STORE_DIR = process.env.USAGE_STORE_DIR || "/mnt/data/usage";
+const MONTH_PATTERN = /^\d{4}-(0[1-9]|1[0-2])$/;
+export const SHARED = "_shared";
+
+export const emptyUsage = () => ({ reports: 0, emails: 0, tokens: { prompt: 0, completion: 0, embedding: 0 }, updatedAt: null });
+
+export const currentMonth = (date = new Date()) => date.toISOString().slice(0, 7);
+export const isMonth = (month) => MONTH_PATTERN.test(String(month));
+
+// When this month's counters reset (UTC).
+export const nextMonthStart = (now = new Date()) => new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1));
+
+// Seconds until then, for Retry-After on a used-up quota.
+export const secondsToNextMonth = (now = new Date()) => Math.ceil((nextMonthStart(now) - now) / 1000);
+
+/* ---------------------------------------------------------------------- */
+/*  STORAGE                                                               */
+/* ---------------------------------------------------------------------- */
+const exclusive = createQueue();
+
+const monthFile = (month) => path.join(STORE_DIR, `${month}.json`);
+
+async function readMonth(month) {
+  try {
+    return JSON.parse(await fs.promises.readFile(monthFile(month), "utf8"));
+  } catch (err) {
+    if (err.code === "ENOENT") return {};
+    throw err;
+  }
+}
+
+let cached = { month: null, data: null };
+async function monthData(month) {
+  if (cached.month !== month) cached = { month, data: await readMonth(month) };
+  return cached.data;
+}
+
+/* ---------------------------------------------------------------------- */
+/*  RECORD / READ                                                         */
+/* ---------------------------------------------------------------------- */
+// Adds to the current month's counters for `org` (an organisation ID, or
+// null for the shared page). add: { reports?, emails?, tokens?: { prompt?,
+// completion?, embedding? } }.
+export function recordUsage(org, { reports = 0, emails = 0, tokens = {} }) {
+  return exclusive(async () => {
+    const data = await monthData(currentMonth());
+    const u = (data[org || SHARED] ||= emptyUsage());
+    u.reports += reports;
+    u.emails += emails;
+    for (const kind of Object.keys(u.tokens)) u.tokens[kind] += tokens[kind] || 0;
+    u.updatedAt = new Date().toISOString();
+    await fs.promises.mkdir(STORE_DIR, { recursive: true });
+    await writeAtomic(monthFile(cached.month), JSON.stringify(data, null, 2));
+  });
+}
+
+// One organisation's counters for `month` (default: this month); zero when
+// nothing was recorded.
+export async function getUsage(org, month = currentMonth()) {
+  const data = month === currentMonth() ? await exclusive(() => monthData(month)) : await readMonth(month);
+  return structuredClone(data[org || SHARED] || emptyUsage());
+}
+
+// Every organisation with usage in `month`, keyed by ID.
+export async function listUsage(month = currentMonth()) {
+  const data = month === currentMonth() ? await exclusive(() => monthData(month)) : await readMonth(month);
+  return structuredClone(data);
+}
@@ -0,0 +1,90 @@
+// vector_math.js — shared helpers for the vector index
+// ISO Timestamp: 🕒 2026-10-19T18:23:21Z
+// Embeddings live in one contiguous Float32Array (row-major, `dims` floats
+// per chunk), pre-normalised so a dot product is the cosine similarity.
+
+/* ---------------------------------------------------------------------- */
+/*  NORMALISE                                                             */
+/* ---------------------------------------------------------------------- */
+export function normalize(vec) {
+  const out = Float32Array.from(vec);
+  let sum = 0;
+  for (let i = 0; i < out.length; i++) sum += out[i] * out[i];
+  const norm = Math.sqrt(sum);
+  if (norm > 0) for (let i = 0; i < out.length; i++) out[i] /= norm;
+  return out;
+}
+
+/* ---------------------------------------------------------------------- */
+/*  DOT PRODUCT                                                           */
+/* ---------------------------------------------------------------------- */
+// q · matrix[row]
+export function dotRow(q, matrix, row, dims) {
+  let sum = 0;
+  const off = row * dims;
+  for (let i = 0; i < dims; i++) sum += q[i] * matrix[off + i];
+  return sum;
+}
+
+/* ---------------------------------------------------------------------- */
+/*  TOP-K                                                                 */
+/* ---------------------------------------------------------------------- */
+// Bounded min-heap: the root is the weakest of the current best k, so each
+// push is O(log k) and nothing outside the top k is ever kept.
+export function createTopK(k) {
+  const ids = new Int32Array(k);
+  const scores = new Float32Array(k);
+  let size = 0;
+
+  const swap = (a, b) => {
+    [ids[a], ids[b]] = [ids[b], ids[a]];
+    [scores[a], scores[b]] = [scores[b], scores[a]];
+  };
+
+  const siftDown = (i) => {
+    for (;;) {
+      const l = 2 * i + 1;
+      const r = l + 1;
+      let m = i;
+      if (l < size && scores[l] < scores[m]) m = l;
+      if (r < size && scores[r] < scores[m]) m = r;
+      if (m === i) return;
+      swap(i, m);
+      i = m;
+    }
+  };
+
+  return {
+    get size() {
+      return size;
+    },
+    // Lowest score still in the heap (−Infinity while not yet full).
+    get floor() {
+      return size < k ? -Infinity : scores[0];
+    },
+    push(id, score) {
+      if (k <= 0) return;
+      if (size < k) {
+        ids[size] = id;
+        scores[size] = score;
+        let i = size++;
+        while (i > 0) {
+          const p = (i - 1) >> 1;
+          if (scores[p] <= scores[i]) break;
+          swap(i, p);
+          i = p;
+        }
+      } else if (score > scores[0]) {
+        ids[0] = id;
+        scores[0] = score;
+        siftDown(0);
+      }
+    },
+    // Best first.
+    results() {
+      const out = [];
+      for (let i = 0; i < size; i++) out.push({ id: ids[i], score: scores[i] });
+      return out.sort((a, b) => b.score - a.score || a.id - b.id);
+    },
+  };
+}
@@ -2,56 +2,196 @@
 // ISO Timestamp: 🕒 2025-10-13T11:15:00Z
 
 import fs from "fs";
-import { OpenAI } from "openai";
+import { getEmbeddingProvider } from "./providers.js";
+import { normalize, dotRow, createTopK } from "./vector_math.js";
+import { ivfPathFor, buildIvf, saveIvf, loadIvf, searchIvf, fingerprintMatrix } from "./ann_index.js";
+import { isBinaryIndex, readBinaryIndex, writeBinaryIndex } from "./binary_index.js";
 
-const INDEX_PATH = "/mnt/data/vector.index";
-const META_PATH  = "/mnt/data/chunks_metadata.jsonl";
-const CHUNK_LIMIT = 50000;
+const INDEX_PATH = process.env.INDEX_PATH || "/mnt/data/vector.index";
+const META_PATH  = process.env.METADATA_PATH || "/mnt/data/chunks_metadata.jsonl";
+// No cap unless one is configured: the whole corpus must be retrievable.
+const CHUNK_LIMIT = Number(process.env.INDEX_CHUNK_LIMIT) || Infinity;
+const IVF_NPROBE = Number(process.env.IVF_NPROBE) || 8;
 
-console.log("🟢 vector_store.js (chunk-safe JSONL) using", INDEX_PATH);
+console.log("🟢 vector_store.js (JSONL + binary) using", INDEX_PATH);
 
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_APIKEY || process.env.OPENAI_API_KEY,
-});
+/* ---------------------------------------------------------------------- */
+/*  VECTOR INDEX                                                          */
+/* ---------------------------------------------------------------------- */
+// Embeddings are copied into one growing Float32Array (normalised, row-major)
+// and dropped from the chunk objects, which keep only text + metadata.
+// `length` is kept so callers can treat the index like the old array;
+// chunk(row) returns a chunk's text + metadata whichever format it came from.
+function createIndexBuilder() {
+  let dims = 0;
+  let matrix = new Float32Array(0);
+  const chunks = [];
+
+  return {
+    add(obj) {
+      const { embedding, ...chunk } = obj;
+      if (!dims) dims = embedding.length;
+      if (embedding.length !== dims) return false;
+
+      if ((chunks.length + 1) * dims > matrix.length) {
+        const grown = new Float32Array(Math.max(dims * 1024, matrix.length * 2));
+        grown.set(matrix);
+        matrix = grown;
+      }
+      matrix.set(normalize(embedding), chunks.length * dims);
+      chunks.push(chunk);
+      return true;
+    },
+    get length() {
+      return chunks.length;
+    },
+    finish() {
+      return {
+        length: chunks.length,
+        dims,
+        total: chunks.length,
+        matrix: matrix.slice(0, chunks.length * dims),
+        chunk: (row) => chunks[row],
+        ann: null,
+      };
+    },
+  };
+}
+
+// Accepts the pre-typed-array shape (array of { embedding, ... }) too.
+export function createVectorIndex(rows) {
+  const builder = createIndexBuilder();
+  for (const r of rows) if (r?.embedding) builder.add(r);
+  return builder.finish();
+}
 
 /* ---------------------------------------------------------------------- */
 /*  LOAD INDEX                                                            */
 /* ---------------------------------------------------------------------- */
-export async function loadIndex(limit = CHUNK_LIMIT) {
+// Reads either the legacy JSONL vector.index or the binary format from
+// binary_index.js (detected by its magic bytes).
+// opts.ann: "auto" (use <index>.ivf when present and current), "ivf"
+// (same, but warn when missing) or "exact". Defaults to VECTOR_SEARCH.
+export async function loadIndex(limit = CHUNK_LIMIT, opts = {}) {
+  const indexPath = opts.indexPath || INDEX_PATH;
+  const ann = opts.ann || process.env.VECTOR_SEARCH || "auto";
+
+  const index = (await isBinaryIndex(indexPath))
+    ? await loadBinaryIndex(indexPath, limit)
+    : await loadJsonlIndex(indexPath, limit);
+
+  if (index.length < index.total) {
+    console.warn(
+      `⚠️ Loaded only ${index.length} of ${index.total} chunks (limit ${limit}) — ` +
+      `the rest cannot be retrieved. Raise or unset INDEX_CHUNK_LIMIT.`
+    );
+  }
+
+  if (ann !== "exact") {
+    const ivfPath = ivfPathFor(indexPath);
+    if (fs.existsSync(ivfPath)) {
+      try {
+        const ivf = await loadIvf(ivfPath);
+        const current =
+          ivf.count === index.length &&
+          ivf.dims === index.dims &&
+          ivf.fingerprint.equals(fingerprintMatrix(index.matrix, index.length, index.dims));
+        if (current) index.ann = ivf;
+        else console.warn(`⚠️ ${ivfPath} is stale — using exact search`);
+      } catch (err) {
+        console.warn(`⚠️ Could not load ${ivfPath}: ${err.message}`);
+      }
+    } else if (ann === "ivf") {
+      console.warn(`⚠️ ${ivfPath} not found — using exact search`);
+    }
+  }
+
+  console.log(
+    `✅ Loaded ${index.length} vectors (d=${index.dims}, ${index.ann ? `IVF nlist ${index.ann.nlist}` : "exact"}).`
+  );
+  return index;
+}
+
+async function loadBinaryIndex(indexPath, limit) {
+  console.log(`📦 Loading binary vector index (limit ${limit})...`);
+  const bin = await readBinaryIndex(indexPath, { limit });
+  if (!bin.normalised) {
+    for (let row = 0; row < bin.count; row++) {
+      const off = row * bin.dims;
+      bin.matrix.set(normalize(bin.matrix.subarray(off, off + bin.dims)), off);
+    }
+  }
+  return {
+    length: bin.count,
+    dims: bin.dims,
+    total: bin.total,
+    matrix: bin.matrix,
+    chunk: bin.chunk,
+    ann: null,
+  };
+}
+
+async function loadJsonlIndex(indexPath, limit) {
   console.log(`📦 Loading vector index in chunks (limit ${limit})...`);
-  const fd = await fs.promises.open(INDEX_PATH, "r");
+  const fd = await fs.promises.open(indexPath, "r");
   const stream = fd.createReadStream({ encoding: "utf8" });
 
   let buffer = "";
-  const vectors = [];
-  let processed = 0;
+  const builder = createIndexBuilder();
+  let skipped = 0;
+  let remaining = 0;
 
+  const take = (line) => {
+    if (!line.trim()) return;
+    if (builder.length >= limit) return remaining++;
+    try {
+      const obj = JSON.parse(line);
+      if (!obj.embedding) return;
+      if (!builder.add(obj)) return skipped++;
+      if (builder.length % 1000 === 0) console.log(`  → ${builder.length} vectors`);
+      if (builder.length === limit) console.log(`🛑 Chunk limit reached (${limit})`);
+    } catch {}
+  };
+
+  // Past the limit, lines are only counted (not parsed) so the caller can
+  // report how much of the corpus was left out.
   for await (const chunk of stream) {
     buffer += chunk;
     const parts = buffer.split("\n");
     buffer = parts.pop();
-
-    for (const line of parts) {
-      if (!line.trim()) continue;
-      try {
-        const obj = JSON.parse(line);
-        if (obj.embedding) {
-          vectors.push(obj);
-          processed++;
-          if (processed % 1000 === 0) console.log(`  → ${processed} vectors`);
-          if (vectors.length >= limit) {
-            console.log(`🛑 Chunk limit reached (${limit})`);
-            await fd.close();
-            return vectors;
-          }
-        }
-      } catch {}
-    }
+    for (const line of parts) take(line);
   }
-
+  take(buffer);
   await fd.close();
-  console.log(`✅ Loaded ${vectors.length} vectors (chunk-safe).`);
-  return vectors;
+
+  if (skipped) console.warn(`⚠️ Skipped ${skipped} vectors with mismatched dimensions`);
+  const index = builder.finish();
+  index.total = index.length + remaining;
+  return index;
+}
+
+/* ---------------------------------------------------------------------- */
+/*  CONVERT TO BINARY                                                     */
+/* ---------------------------------------------------------------------- */
+export async function convertToBinary(indexPath, binPath) {
+  const index = await loadIndex(Infinity, { indexPath, ann: "exact" });
+  await writeBinaryIndex(binPath, index);
+  console.log(`✅ Binary index (${index.length} × ${index.dims}) written to ${binPath}`);
+  return index;
+}
+
+/* ---------------------------------------------------------------------- */
+/*  BUILD APPROXIMATE INDEX                                               */
+/* ---------------------------------------------------------------------- */
+export async function buildAnnIndex(indexPath = INDEX_PATH, opts = {}) {
+  const index = await loadIndex(Infinity, { indexPath, ann: "exact" });
+  if (!index.length) throw new Error(`No vectors in ${indexPath}`);
+
+  console.log(`🧮 Building IVF over ${index.length} vectors (d=${index.dims})...`);
+  const ivf = buildIvf(index.matrix, index.length, index.dims, opts);
+  await saveIvf(ivfPathFor(indexPath), ivf);
+  console.log(`✅ IVF index (nlist ${ivf.nlist}) written to ${ivfPathFor(indexPath)}`);
+  return ivf;
 }
 
 /* ---------------------------------------------------------------------- */
@@ -71,32 +211,67 @@ export async function loadMetadata(limit = 10) {
 /* ---------------------------------------------------------------------- */
 /*  SEARCH INDEX                                                          */
 /* ---------------------------------------------------------------------- */
-export async function searchIndex(rawQuery, index) {
+export async function searchIndex(rawQuery, index, { k = 10, exact = false } = {}) {
   const query = (typeof rawQuery === "string"
     ? rawQuery
     : String(rawQuery || "")
   ).trim();
 
   if (!query || query.length < 3) return [];
+  if (Array.isArray(index)) index = createVectorIndex(index);
+  if (!index.length) return [];
 
   console.log("🔍 Query:", query);
 
-  const response = await openai.embeddings.create({
-    model: "text-embedding-3-small",
-    input: [query],
-  });
-
-  const q = response.data[0].embedding;
+  const [embedding] = await getEmbeddingProvider().embed([query]);
+  if (embedding.length !== index.dims)
+    throw new Error(`Query embedding has ${embedding.length} dims, index has ${index.dims}`);
+  const q = normalize(embedding);
 
-  const scores = index.map((v) => ({
-    ...v,
-    score: dotProduct(q, v.embedding),
-  }));
+  let hits;
+  if (index.ann && !exact) {
+    hits = searchIvf(index.ann, index.matrix, q, k, IVF_NPROBE);
+  } else {
+    const top = createTopK(k);
+    for (let row = 0; row < index.length; row++)
+      top.push(row, dotRow(q, index.matrix, row, index.dims));
+    hits = top.results();
+  }
 
-  return scores.sort((a, b) => b.score - a.score).slice(0, 10);
+  return hits.map(({ id: row, score }) => {
+    const v = index.chunk(row);
+    return {
+      row,
+      id: v.id ?? v.chunk_id ?? row,
+      text: v.text || "",
+      source: describeSource(v),
+      score,
+    };
+  });
 }
 
-function dotProduct(a, b) {
-  if (!a || !b || a.length !== b.length) return 0;
-  return a.reduce((sum, val, i) => sum + val * b[i], 0);
+/* ---------------------------------------------------------------------- */
+/*  CHUNK SOURCE                                                          */
+/* ---------------------------------------------------------------------- */
+// Chunks come from several ingestion runs, so the metadata keys vary.
+// Normalise whatever is present into one citation shape.
+export function describeSource(v = {}) {
+  const meta = v.metadata || v.meta || {};
+  const pick = (...keys) => {
+    for (const k of keys) {
+      const val = v[k] ?? meta[k];
+      if (val !== undefined && val !== null && String(val).trim())
+        return String(val).trim();
+    }
+    return null;
+  };
+
+  return {
+    title: pick("title", "source_title", "doc_title", "document"),
+    url: pick("url", "source_url", "link"),
+    file: pick("file", "filename", "source_file", "path", "source"),
+    section: pick("section", "heading", "section_title"),
+    page: pick("page", "page_number", "page_no"),
+  };
 }
+